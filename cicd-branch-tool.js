@@ -5,8 +5,12 @@ const simpleGit = require('simple-git');
 const { differenceInCalendarDays, addWeeks, addDays, startOfWeek, isMonday, format, parseISO, parse, startOfDay } = require('date-fns');
 const fs = require('fs').promises;
 const path = require('path');
-const { existsSync } = require('fs');
-const { stdout } = require('process');
+const { existsSync, readFileSync, unlinkSync, writeSync } = require('fs');
+const { spawn, spawnSync } = require('child_process');
+const os = require('os');
+const http = require('http');
+const https = require('https');
+const YAML = require('yaml');
 
 
 // Helper function to get branch name from status (handles both old and new formats)
@@ -53,6 +57,125 @@ function updateBranchStatus(currentStatus, newBranchName, commitInfo = null) {
 	}
 }
 
+// Journal context for a command run, or null when journaling is disabled
+function openJournal(opts) {
+	if (!opts.journal) return null;
+	return {
+		path: opts.journal,
+		context: {
+			command: opts.commandName,
+			repository: opts.repository || null,
+			date: opts.date || null
+		}
+	};
+}
+
+// Append one entry to the audit journal (JSON Lines), never overwriting earlier entries
+async function appendJournal(journal, entry) {
+	const line = JSON.stringify({ time: new Date().toISOString(), ...journal.context, ...entry });
+	try {
+		await fs.appendFile(journal.path, `${line}\n`, 'utf8');
+	} catch (error) {
+		logWarn(`Failed to write journal ${journal.path}: ${error.message}`);
+	}
+}
+
+async function readJournal(journalPath) {
+	if (!existsSync(journalPath)) return [];
+	try {
+		const data = await fs.readFile(journalPath, 'utf8');
+		return data.split('\n').filter(line => line.trim()).map(line => JSON.parse(line));
+	} catch (error) {
+		exitWithError(ERROR_CODES.FILE_NOT_FOUND, `Failed to read journal file: ${error.message}`);
+	}
+}
+
+const NOTIFICATION_EVENTS = ['cycle-started', 'branch-created', 'merge-succeeded', 'merge-conflict', 'push-failed', 'gate-failed', 'rollback'];
+
+function openNotifier(config, opts) {
+	const webhooks = (config.notifications && config.notifications.webhooks) || [];
+	if (webhooks.length === 0) return null;
+	webhooks.forEach((webhook, index) => {
+		if (!webhook.url) exitWithError(ERROR_CODES.CONFIG_ERROR, `notifications.webhooks[${index}] has no url`);
+		if (webhook.format && !['json', 'slack', 'teams'].includes(webhook.format)) {
+			exitWithError(ERROR_CODES.CONFIG_ERROR, `notifications.webhooks[${index}]: unknown format "${webhook.format}" (expected json, slack or teams)`);
+		}
+		const unknown = (webhook.events || []).filter(event => !NOTIFICATION_EVENTS.includes(event));
+		if (unknown.length > 0) {
+			exitWithError(ERROR_CODES.CONFIG_ERROR, `notifications.webhooks[${index}]: unknown event(s) ${unknown.join(', ')} (expected ${NOTIFICATION_EVENTS.join(', ')})`);
+		}
+	});
+	return {
+		webhooks,
+		timeoutMs: (config.notifications.timeoutSeconds || 10) * 1000,
+		context: {
+			command: opts.commandName,
+			repository: opts.repository || path.basename(path.resolve(config.git || process.cwd())),
+			date: opts.date || null
+		},
+		pending: []
+	};
+}
+
+function formatNotification(format, notification) {
+	const { event, environment, branch, from, to, commit, error } = notification;
+	const lines = [
+		environment ? `Environment: ${environment}` : null,
+		branch ? `Branch: ${branch}` : null,
+		from || to ? `${from || '?'} → ${to || '?'}` : null,
+		commit ? `Commit: ${commit.hash.substring(0, 8)} ${commit.message} (${commit.author_name})` : null,
+		error ? `Error: ${error}` : null
+	].filter(Boolean);
+	const title = `[${notification.repository}] ${event}${environment ? ` (${environment})` : ''}`;
+	if (format === 'slack') {
+		return { text: `*${title}*\n${lines.join('\n')}` };
+	}
+	if (format === 'teams') {
+		return {
+			'@type': 'MessageCard',
+			'@context': 'https://schema.org/extensions',
+			summary: title,
+			themeColor: ['merge-conflict', 'push-failed', 'gate-failed'].includes(event) ? 'D70000' : '0078D7',
+			title,
+			text: lines.join('<br>')
+		};
+	}
+	return notification;
+}
+
+// Send an event to every webhook subscribed to it. Delivery failures are only logged:
+// a notification must never change the outcome of the workflow
+function notify(notifier, event, details = {}) {
+	if (!notifier) return;
+	const notification = { event, time: new Date().toISOString(), ...notifier.context, ...details };
+	notifier.webhooks
+		.filter(webhook => !webhook.events || webhook.events.includes(event))
+		.forEach(webhook => {
+			const delivery = requestJson('POST', webhook.url, webhook.headers || {}, formatNotification(webhook.format || 'json', notification), notifier.timeoutMs)
+				.catch(error => logWarn(`Failed to deliver ${event} notification to ${webhook.url}: ${error.message}`));
+			notifier.pending.push(delivery);
+		});
+}
+
+// Wait for deliveries still in flight, needed before any process.exit()
+async function flushNotifications(notifier) {
+	if (!notifier) return;
+	await Promise.all(notifier.pending);
+	notifier.pending = [];
+}
+
+// Helper function to keep the target an environment had before a rotation (used by rollback)
+function rememberPreviousTarget(previousStatus, newStatus) {
+	const previousBranch = getBranchName(previousStatus);
+	if (previousBranch && previousBranch !== newStatus.branch) {
+		newStatus.previous = {
+			branch: previousBranch,
+			commit: extractBranchLatestCommit(previousStatus)
+		};
+	}
+	return newStatus;
+}
+
 // Default configuration
 const DEFAULT_CONFIG = {
 	baseBranch: 'base',
@@ -64,17 +187,138 @@ const DEFAULT_CONFIG = {
 	branchPrefix: '',
 	autoRemoveBranches: false,
 	branchRetentionCycles: 3,
+	pruneMergedOnly: false,
+	syncStrategy: 'merge',
+	gateTimeoutSeconds: 600,
+	hotfixPrefix: 'hotfix',
+	lockTimeoutMinutes: 120,
+	remoteLock: false,
+	remoteLockRef: 'refs/cicd/lock',
+	conflictReport: 'merge-conflicts.json',
+	conflictBranches: false,
+	conflictBranchPrefix: 'conflict',
+	promotionBranchPrefix: 'promote',
+	releaseNotes: false,
+	releaseNotesDir: 'release-notes',
+	releaseNotesGroupBy: 'type',
+	daemonRunAt: '02:00',
+	daemonMergeIntervalMinutes: 60,
+	daemonHeartbeat: 'daemon-heartbeat.json',
+	tags: false,
+	tagTemplate: '{env}/{date}',
+	tagEnvironments: null,
+	tagSemver: false,
+	tagMajorVersion: 1,
 	dateFormat: "yyyy-MM-dd"
 };
 
 const DEFINT_COMMAND_LINE_CONFIG = {
 	config: 'config.json',
 	status: 'status.json',
+	journal: 'journal.jsonl',
 	dryRun: false,
 	git: "./"
 };
 
 
+// How an environment branch is brought up to date with its target (and the first stage's cycle branch
+// with that branch): merge, merge with a merge commit, rebase (force-with-lease push), one squashed commit,
+// fast-forward only, or a hard reset to the target (force-with-lease push)
+const SYNC_STRATEGIES = ['merge', 'no-ff', 'rebase', 'squash', 'ff-only', 'reset'];
+
+// Resolve the ordered environment pipeline. Each stage has a status key (name), the
+// environment branch and a rule for its target at each rotation:
+//   "cycle"        - the new date-based branch (first stage only, its branch feeds the cycle branch)
+//   "previous:<env>" - the target <env> had before this rotation
+//   "current:<env>"  - the target <env> gets in this rotation (earlier stage only)
+// Without an `environments` list the classic base → uat → pre → pro layout is used.
+function getEnvironments(config) {
+	const environments = normalizeEnvironments(config);
+	const [problem] = findEnvironmentProblems(environments);
+	if (problem) exitWithError(ERROR_CODES.CONFIG_ERROR, problem);
+	return environments;
+}
+
+function normalizeEnvironments(config) {
+	const configured = Array.isArray(config.environments) && config.environments.length > 0
+		? config.environments
+		: [
+			{ name: 'base', branch: config.baseBranch, target: 'cycle' },
+			{ name: 'uat', branch: config.uatBranch, target: 'previous:base' },
+			{ name: 'pre', branch: config.preBranch, target: 'current:uat', noFastForward: true },
+			{ name: 'pro', branch: config.proBranch, target: 'previous:uat', noFastForward: true }
+		];
+
+	return configured.map((env, index) => ({
+		noFastForward: false,
+		promotionMode: 'merge',
+		...env,
+		branch: env.branch || env.name,
+		target: env.target || (index === 0 ? 'cycle' : `previous:${configured[index - 1].name}`),
+		// noFastForward is the older spelling of the no-ff strategy. The top-level default does not reach
+		// the first stage: its cycle branches carry the tool's own commits and are merged into
+		syncStrategy: env.syncStrategy || (env.noFastForward ? 'no-ff' : (index > 0 && config.syncStrategy) || 'merge')
+	}));
+}
+
+// The type and --no-ff flag of the item syncing a branch with `strategy`
+function syncItemType(strategy) {
+	if (strategy === 'no-ff') return { type: 'merge', noFastForward: true };
+	return { type: strategy, noFastForward: false };
+}
+
+// Consistency of the pipeline, one message per problem
+function findEnvironmentProblems(environments) {
+	const problems = [];
+	environments.forEach((env, index) => {
+		if (!env.name) {
+			problems.push(`Environment #${index + 1} has no name`);
+			return;
+		}
+		if (!env.branch) problems.push(`Environment ${env.name} has no branch`);
+		if (environments.findIndex(other => other.name === env.name) !== index) {
+			problems.push(`Environment ${env.name}: the name is used by more than one environment`);
+		}
+		const sameBranch = environments.find((other, otherIndex) => otherIndex < index && other.branch === env.branch && other.name !== env.name);
+		if (sameBranch) {
+			problems.push(`Environment ${env.name}: branch "${env.branch}" is already the branch of ${sameBranch.name}`);
+		}
+		const [kind, ref] = String(env.target).split(':');
+		if ((kind === 'cycle') !== (index === 0)) {
+			problems.push(`Environment ${env.name}: only the first environment can (and must) use the "cycle" target`);
+		}
+		if (!['merge', 'pr'].includes(env.promotionMode)) {
+			problems.push(`Environment ${env.name}: unknown promotionMode "${env.promotionMode}" (expected merge or pr)`);
+		}
+		if (kind === 'cycle') return;
+		if (!['previous', 'current'].includes(kind)) {
+			problems.push(`Environment ${env.name}: unknown target "${env.target}"`);
+			return;
+		}
+		const refIndex = environments.findIndex(other => other.name === ref);
+		if (refIndex < 0 || refIndex >= index) {
+			problems.push(`Environment ${env.name}: target "${env.target}" must refer to an earlier environment`);
+		}
+	});
+	return problems;
+}
+
+// Work out the target each environment gets when a new cycle branch is created
+function resolveRotationTargets(environments, status, newBaseBranch) {
+	const targets = {};
+	environments.forEach(env => {
+		const [kind, ref] = env.target.split(':');
+		if (kind === 'cycle') {
+			targets[env.name] = newBaseBranch;
+		} else if (kind === 'previous') {
+			targets[env.name] = getBranchName(status[ref]);
+		} else {
+			targets[env.name] = targets[ref];
+		}
+	});
+	return targets;
+}
+
 // Error codes for CI/CD pipeline
 const ERROR_CODES = {
 	INVALID_COMMAND: 1,
@@ -83,102 +327,353 @@ const ERROR_CODES = {
 	NOT_EXECUTION_DAY: 4,
 	MISSING_BRANCHES: 5,
 	CONFIG_ERROR: 6,
-	INVALID_DATE: 7
+	INVALID_DATE: 7,
+	LOCKED: 8,
+	MERGE_FAILED: 9,
+	GATE_FAILED: 10,
+	DRIFT_FOUND: 11
 };
 
+// A failed command: the CLI exits with `code`, library callers catch it (see runCommand)
+class CicdError extends Error {
+	constructor(code, message) {
+		super(message);
+		this.name = 'CicdError';
+		this.code = code;
+		this.codeName = Object.keys(ERROR_CODES).find(key => ERROR_CODES[key] === code) || null;
+	}
+}
+
 // Utility functions
 const exitWithError = (code, message) => {
-	console.error(`[FATAL] ${message}`);
-	process.exit(code);
+	throw new CicdError(code, message);
 };
 // symbols ⏩ 🆗 ❌ ⚠️ ✅ ✨️ ➡️ →
 //🔙 🔚 🔛 🔜 🔝 🔁 🔂 🔃 🔄
 
-const logInfo = (message) => console.info(`✨️ [INFO] ${message}`);
-const logValid = (message) => console.log(`✅ [valid] ${message}`);
-const logSuccess = (message) => console.log(`✅ [SUCCESS] ${message}`);
-const logOK = (message) => console.log(`🆗 ${message}`);
+// All output goes through `logger`; library callers can replace any of its methods (setLogger)
+const consoleLogger = {
+	log: (...args) => console.log(...args),
+	info: (message) => console.info(`✨️ [INFO] ${message}`),
+	success: (message) => console.log(`✅ [SUCCESS] ${message}`),
+	warn: (message) => console.warn(`⚠️ [WARN] ${message}`),
+	error: (message) => console.error(`❌ [ERROR] ${message}`)
+};
+let logger = consoleLogger;
+
+function setLogger(custom) {
+	logger = custom ? { ...consoleLogger, ...custom } : consoleLogger;
+}
+
+const logInfo = (message) => logger.info(message);
+const logValid = (message) => logger.log(`✅ [valid] ${message}`);
+const logSuccess = (message) => logger.success(message);
+const logOK = (message) => logger.log(`🆗 ${message}`);
 
-const logWarn = (message) => console.warn(`⚠️ [WARN] ${message}`);
-const logError = (message) => console.error(`❌ [ERROR] ${message}`);
-const logAction = (message) => console.log(`   [ACTION] ${message}`);
+const logWarn = (message) => logger.warn(message);
+const logError = (message) => logger.error(message);
+const logAction = (message) => logger.log(`   [ACTION] ${message}`);
 const logLine = (text) => {
 	if(text)
 	{
-		console.log(`========== ${text} ==========`);
+		logger.log(`========== ${text} ==========`);
 	} else {
-		console.log(`=====================================================`);
+		logger.log(`=====================================================`);
 	}
 	
 }
 
+// --json: everything written for humans goes to stderr, and one document describing the
+// command (branches checked, actions taken, cycle dates, exit code) is printed to stdout on exit
+let jsonReport = null;
 
-// Load configuration from file or exit on critical error
-async function loadConfig(configPath) {
-	try {
-		const resolvedPath = path.resolve(configPath);
-		if (!existsSync(resolvedPath)) {
-			if (configPath) exitWithError(ERROR_CODES.FILE_NOT_FOUND, `Config file not found: ${resolvedPath}`);
-			logWarn('Using default configuration (config.json not found)');
-			return DEFAULT_CONFIG;
+function createReport(opts) {
+	return {
+		command: opts.commandName,
+		repository: opts.repository || null,
+		date: opts.date || null,
+		dryRun: !!opts.dryRun,
+		cycle: null,
+		branches: [],
+		actions: [],
+		gates: [],
+		error: null,
+		exitCode: null
+	};
+}
+
+function startJsonReport(opts) {
+	jsonReport = createReport(opts);
+	process.stdout.write = process.stderr.write.bind(process.stderr);
+	process.on('exit', code => {
+		jsonReport.exitCode = code;
+		writeSync(1, `${JSON.stringify(jsonReport, null, 2)}\n`);
+	});
+}
+
+function setJsonReport(key, value) {
+	if (jsonReport) jsonReport[key] = value;
+}
+
+function addJsonReport(key, item) {
+	if (jsonReport) jsonReport[key].push(item);
+}
+
+// Record the cycle dates the command works with
+function reportCycleDates(config, status, currentDate) {
+	if (!jsonReport) return;
+	setJsonReport('cycle', {
+		...calculateCycleDateInfo(config, status, currentDate, config.cycleDays, config.dateFormat),
+		today: currentDate,
+		lastCycleDate: status.lastCycleDate || null,
+		aheadCycleDate: status.aheadCycleDate || null,
+		executionDay: isExecutionDay(config.dateFormat, currentDate, config.cycleDays, status.lastCycleDate, config)
+	});
+}
+
+
+// Config files looked up for the user and in the repository, first match wins
+const USER_CONFIG_FILES = [
+	path.join(os.homedir(), '.cicdrc'),
+	path.join(os.homedir(), '.config', 'cicd-branch-manager', 'cicd.yaml')
+];
+const REPOSITORY_CONFIG_FILES = ['.cicdrc', 'cicd.yaml', 'cicd.yml'];
+const CONFIG_ENV_PREFIX = 'CICD_';
+
+// cycleDays → CICD_CYCLE_DAYS
+function configEnvName(key) {
+	return CONFIG_ENV_PREFIX + key.replace(/[A-Z]/g, letter => `_${letter}`).toUpperCase();
+}
+
+// Turn a string from the environment or --set into the type the schema expects; values that do not
+// convert are kept as strings so validation reports them
+function coerceConfigValue(key, value) {
+	const schema = CONFIG_SCHEMA[key];
+	const types = schema ? [].concat(schema.type) : [];
+	if (types.some(type => type === 'integer' || type === 'number') && /^-?\d+(\.\d+)?$/.test(value.trim())) return Number(value);
+	if (types.includes('boolean')) {
+		if (/^(true|yes|1)$/i.test(value.trim())) return true;
+		if (/^(false|no|0)$/i.test(value.trim())) return false;
+	}
+	if (types.includes('array') || types.includes('object')) {
+		try {
+			return JSON.parse(value);
+		} catch (error) {
+			return value;
 		}
+	}
+	return value;
+}
 
-		const configData = await fs.readFile(resolvedPath, 'utf8');
-		return { ...DEFAULT_CONFIG, ...JSON.parse(configData) };
+// Read one config file: YAML for .cicdrc and *.yaml/*.yml (JSON is valid YAML too), JSON otherwise
+async function readConfigFile(filePath) {
+	let values;
+	try {
+		const data = await fs.readFile(filePath, 'utf8');
+		values = /\.json$/i.test(filePath) ? JSON.parse(data) : YAML.parse(data);
 	} catch (error) {
-		exitWithError(ERROR_CODES.CONFIG_ERROR, `Configuration error: ${error.message}`);
+		exitWithError(ERROR_CODES.CONFIG_ERROR, `Cannot read config file ${filePath}: ${error.message}`);
+	}
+	if (values === null || values === undefined) return {};
+	if (typeof values !== 'object' || Array.isArray(values)) {
+		exitWithError(ERROR_CODES.CONFIG_ERROR, `Config file ${filePath} must contain an object of settings`);
 	}
+	return values;
+}
+
+// Collect the config layers, lowest precedence first: built-in defaults, the user file, the repository
+// .cicdrc/cicd.yaml, the --config file (default config.json), CICD_* environment variables and CLI flags
+async function resolveConfigLayers(opts) {
+	const layers = [{ origin: 'default', values: DEFAULT_CONFIG }];
+
+	const userFile = USER_CONFIG_FILES.find(file => existsSync(file));
+	if (userFile) layers.push({ origin: userFile, file: userFile, values: await readConfigFile(userFile) });
+
+	// the library API can pass the config itself instead of a path
+	let configFile = null;
+	if (opts.config && typeof opts.config === 'object') {
+		configFile = { origin: 'options', values: opts.config };
+	} else {
+		const configPath = path.resolve(opts.config || DEFINT_COMMAND_LINE_CONFIG.config);
+		if (opts.config && !existsSync(configPath)) exitWithError(ERROR_CODES.FILE_NOT_FOUND, `Config file not found: ${configPath}`);
+		if (existsSync(configPath)) configFile = { origin: configPath, file: configPath, values: await readConfigFile(configPath) };
+	}
+
+	const env = {};
+	Object.keys(CONFIG_SCHEMA).forEach(key => {
+		const value = process.env[configEnvName(key)];
+		if (value !== undefined && value !== '') env[key] = coerceConfigValue(key, value);
+	});
+
+	const cli = {};
+	(opts.set || []).forEach(assignment => {
+		const separator = assignment.indexOf('=');
+		if (separator <= 0) exitWithError(ERROR_CODES.INVALID_COMMAND, `Invalid --set "${assignment}" (expected key=value)`);
+		const key = assignment.slice(0, separator).trim();
+		cli[key] = coerceConfigValue(key, assignment.slice(separator + 1));
+	});
+	if (opts.gitDir) cli.git = opts.gitDir;
+
+	// the repository files live in the repository, wherever the higher layers say it is
+	const repositoryDir = path.resolve(cli.git || env.git || (configFile && configFile.values.git) || (userFile && layers[1].values.git) || '.');
+	const repositoryFile = REPOSITORY_CONFIG_FILES.map(name => path.join(repositoryDir, name)).find(file => existsSync(file));
+	if (repositoryFile) layers.push({ origin: repositoryFile, file: repositoryFile, values: await readConfigFile(repositoryFile) });
+	if (configFile) layers.push(configFile);
+	if (Object.keys(env).length > 0) layers.push({ origin: 'environment', values: env });
+	if (Object.keys(cli).length > 0) layers.push({ origin: 'command line', values: cli });
+	return layers;
+}
+
+// Merge the config layers (later layers replace whole keys) and remember where each key came from
+function mergeConfigLayers(layers) {
+	const config = {};
+	const origins = {};
+	layers.forEach(layer => {
+		Object.entries(layer.values).forEach(([key, value]) => {
+			config[key] = value;
+			origins[key] = layer.origin === 'environment' ? `environment (${configEnvName(key)})` : layer.origin;
+		});
+	});
+	// relative repository paths are relative to the file that lists them
+	const repositoriesLayer = layers.filter(layer => layer.values.repositories !== undefined).pop();
+	const configDir = repositoriesLayer && repositoriesLayer.file ? path.dirname(repositoriesLayer.file) : process.cwd();
+	return { config, origins, configDir, sources: layers.slice(1).map(layer => layer.origin) };
+}
+
+// Resolve and validate the layered configuration or exit on critical error
+async function loadConfigWithOrigins(opts) {
+	const resolved = mergeConfigLayers(await resolveConfigLayers(opts));
+	const issues = validateConfig(resolved.config);
+	issues.filter(issue => issue.level === 'warning').forEach(issue => warnOnce(formatConfigIssue(issue, resolved.origins)));
+	const errors = issues.filter(issue => issue.level === 'error');
+	if (errors.length > 0) {
+		errors.forEach(issue => logError(formatConfigIssue(issue, resolved.origins)));
+		exitWithError(ERROR_CODES.CONFIG_ERROR, 'Invalid configuration (see config check)');
+	}
+	if (resolved.sources.length === 0) warnOnce('Using default configuration (no config file found)');
+	return resolved;
+}
+
+// Load the configuration, narrowed to opts.repository in a multi-repository config
+async function loadConfig(opts) {
+	const { config, configDir } = await loadConfigWithOrigins(opts);
+	return opts.repository ? applyRepository(config, opts.repository, configDir) : config;
+}
+
+const issuedWarnings = new Set();
+function warnOnce(message) {
+	if (issuedWarnings.has(message)) return;
+	issuedWarnings.add(message);
+	logWarn(message);
+}
+
+// Validate the layered configuration and print every problem; with strict, warnings count as errors
+async function checkConfig(opts, { strict = false } = {}) {
+	const { config, origins, sources } = mergeConfigLayers(await resolveConfigLayers(opts));
+	const issues = validateConfig(config);
+	setJsonReport('config', { sources, strict, issues: issues.map(issue => ({ ...issue, origin: origins[configIssueKey(issue)] || null })) });
+
+	logger.log(`=== Config Check: ${sources.length > 0 ? sources.join(', ') : 'defaults only'} ===`);
+	issues.forEach(issue => {
+		if (issue.level === 'error') logError(formatConfigIssue(issue, origins));
+		else logWarn(formatConfigIssue(issue, origins));
+	});
+	const errors = issues.filter(issue => issue.level === 'error').length;
+	const warnings = issues.length - errors;
+	if (errors > 0 || (strict && warnings > 0)) {
+		exitWithError(ERROR_CODES.CONFIG_ERROR, `Configuration is invalid: ${errors} error(s), ${warnings} warning(s)`);
+	}
+	logSuccess(warnings > 0 ? `Configuration is valid (${warnings} warning(s))` : 'Configuration is valid');
+}
+
+// Print the effective value of every key, optionally with the layer it came from
+async function showConfig(opts, { origin = false } = {}) {
+	const { config, origins } = await loadConfigWithOrigins(opts);
+	setJsonReport('config', { values: config, origins });
+	const keys = [...Object.keys(CONFIG_SCHEMA), ...Object.keys(config).filter(key => !CONFIG_SCHEMA[key])]
+		.filter(key => config[key] !== undefined);
+	const width = Math.max(...keys.map(key => key.length));
+	keys.forEach(key => {
+		const value = JSON.stringify(config[key]);
+		logger.log(origin ? `${key.padEnd(width)}  ${value}  ← ${origins[key]}` : `${key.padEnd(width)}  ${value}`);
+	});
+}
+
+// List the repositories of a multi-repository config, with names and paths resolved
+// (relative paths are relative to the config file)
+function getRepositories(config, configDir) {
+	if (!Array.isArray(config.repositories)) return [];
+	return config.repositories.map((repo, index) => {
+		if (!repo.path) exitWithError(ERROR_CODES.CONFIG_ERROR, `Repository #${index + 1} has no path`);
+		return {
+			...repo,
+			name: repo.name || path.basename(path.resolve(configDir, repo.path)),
+			path: path.resolve(configDir, repo.path)
+		};
+	});
+}
+
+// Config for a single entry of `repositories`: shared settings, then the entry's remote, path and overrides
+function applyRepository(config, repositoryName, configDir) {
+	const repo = getRepositories(config, configDir).find(item => item.name === repositoryName);
+	if (!repo) exitWithError(ERROR_CODES.CONFIG_ERROR, `Repository ${repositoryName} is not listed in the config`);
+	const { repositories, ...shared } = config;
+	return {
+		...shared,
+		...(repo.overrides || {}),
+		git: repo.path,
+		remoteName: repo.remote || (repo.overrides && repo.overrides.remoteName) || config.remoteName
+	};
+}
+
+// Status storage other than a file (library API): an object with async load() and save(state)
+function isStatusStore(statusPath) {
+	return !!statusPath && typeof statusPath === 'object' && typeof statusPath.load === 'function' && typeof statusPath.save === 'function';
 }
 
-// Load status file or exit on critical error
-async function loadStatusFile(statusPath) {
-	if (!statusPath) return {};
+// Load status file (or store) or exit on critical error
+async function loadStatusFile(statusPath, config = DEFAULT_CONFIG) {
+	const environmentNames = getEnvironments(config).map(env => env.name);
+	if (!statusPath) return normalizeStatusFormat({}, environmentNames);
+	if (isStatusStore(statusPath)) return normalizeStatusFormat(await statusPath.load() || {}, environmentNames);
 	try {
 		if (existsSync(statusPath)) {
 			const data = await fs.readFile(statusPath, 'utf8');
 			const rawStatus = JSON.parse(data);
 			// Convert to unified format
-			return normalizeStatusFormat(rawStatus);
+			return normalizeStatusFormat(rawStatus, environmentNames);
 		}
 		logInfo(`Status file not found at ${statusPath}, creating new state`);
-		return {};
+		return normalizeStatusFormat({}, environmentNames);
 	} catch (error) {
 		exitWithError(ERROR_CODES.FILE_NOT_FOUND, `Failed to read status file: ${error.message}`);
 	}
 }
 
 // Normalize status format to handle both old and new formats
-function normalizeStatusFormat(rawStatus) {
-	// Check if it's the new format (has nested structure with branch objects)
-	if (rawStatus.base && typeof rawStatus.base === 'object' && rawStatus.base.branch) {
-		// New format - preserve full structure
-		return {
-			base: rawStatus.base || { branch: null },
-			uat: rawStatus.uat || { branch: null },
-			pre: rawStatus.pre || { branch: null },
-			pro: rawStatus.pro || { branch: null },
-			lastCycleDate: rawStatus.lastCycleDate,
-			aheadCycleDate: rawStatus.aheadCycleDate,
-			branches: rawStatus.branches,
-			_fullStatus: rawStatus // Preserve full structure for saving
-		};
-	} else {
-		// Old format - convert to new format
-		return {
-			base: { branch: rawStatus.base || null },
-			uat: { branch: rawStatus.uat || null },
-			pre: { branch: rawStatus.pre || null },
-			pro: { branch: rawStatus.pro || null },
-			lastCycleDate: rawStatus.lastCycleDate,
-			aheadCycleDate: rawStatus.aheadCycleDate,
-			branches: rawStatus.branches
-		};
-	}
+function normalizeStatusFormat(rawStatus, environmentNames) {
+	// Keep everything else (cycle dates, branches, rollbacks, hotfixes, ...) as it is
+	const status = { ...rawStatus };
+	environmentNames.forEach(name => {
+		const value = rawStatus[name];
+		if (value && typeof value === 'object') {
+			// New format - object with branch and commit info
+			status[name] = value;
+		} else {
+			// Old format - direct branch name string
+			status[name] = { branch: value || null };
+		}
+	});
+	return status;
 }
 
 // Save state to status file or exit on failure
 async function saveStatusFile(statusPath, state) {
 	if (!statusPath) return;
+	if (isStatusStore(statusPath)) {
+		await statusPath.save(convertToSaveFormat(state));
+		return;
+	}
 	try {
 		// Convert to the appropriate format for saving
 		const saveFormat = convertToSaveFormat(state);
@@ -191,57 +686,12 @@ async function saveStatusFile(statusPath, state) {
 
 // Convert internal state to save format
 function convertToSaveFormat(state) {
-	// If we have the full status structure, update it and return
-	if (state._fullStatus) {
-		const fullStatus = { ...state._fullStatus };
-
-		// Update branch objects in the full structure
-		if (state.base && fullStatus.base) {
-			fullStatus.base.branch = getBranchName(state.base);
-			if (state.base.commit) fullStatus.base.commit = state.base.commit;
-		}
-		if (state.uat && fullStatus.uat) {
-			fullStatus.uat.branch = getBranchName(state.uat);
-			if (state.uat.commit) fullStatus.uat.commit = state.uat.commit;
-		}
-		if (state.pre && fullStatus.pre) {
-			fullStatus.pre.branch = getBranchName(state.pre);
-			if (state.pre.commit) fullStatus.pre.commit = state.pre.commit;
-		}
-		if (state.pro && fullStatus.pro) {
-			fullStatus.pro.branch = getBranchName(state.pro);
-			if (state.pro.commit) fullStatus.pro.commit = state.pro.commit;
-		}
-
-		// Update cycle dates
-		if (state.lastCycleDate) fullStatus.lastCycleDate = state.lastCycleDate;
-		if (state.aheadCycleDate) fullStatus.aheadCycleDate = state.aheadCycleDate;
-		if (state.branches) fullStatus.branches = state.branches;
-
-		// Remove internal properties
-		delete fullStatus._fullStatus;
-
-		return fullStatus;
-	} else {
-		// Create new format structure
-		const newFormat = {
-			base: { branch: getBranchName(state.base) },
-			uat: { branch: getBranchName(state.uat) },
-			pre: { branch: getBranchName(state.pre) },
-			pro: { branch: getBranchName(state.pro) },
-			lastCycleDate: state.lastCycleDate,
-			aheadCycleDate: state.aheadCycleDate,
-			branches: state.branches
-		};
-
-		// Add latest commit info if available
-		if (state.base && state.base.commit) newFormat.base.commit = state.base.commit;
-		if (state.uat && state.uat.commit) newFormat.uat.commit = state.uat.commit;
-		if (state.pre && state.pre.commit) newFormat.pre.commit = state.pre.commit;
-		if (state.pro && state.pro.commit) newFormat.pro.commit = state.pro.commit;
-
-		return newFormat;
-	}
+	const saveFormat = { ...state };
+	// Remove internal properties
+	Object.keys(saveFormat)
+		.filter(key => key.startsWith('_'))
+		.forEach(key => delete saveFormat[key]);
+	return saveFormat;
 }
 
 function calculateNextCycleDateString(lastCycleDateString, cycleDays = 14, dateFormat = "yyyy-MM-dd") {
@@ -254,137 +704,615 @@ function calculateNextCycleDateString(lastCycleDateString, cycleDays = 14, dateF
 	}
 }
 
-function calculateCycleDateInfo(config, status, currentDateString, cycleDays = 14, dateFormat = "yyyy-MM-dd") {
-	var nextDate;
-	var aheadDate;
-	var today = parse(currentDateString, dateFormat, new Date());
-	if (status.lastCycleDate) // string
-	{
-		const lastCycleDate = parse(status.lastCycleDate, config.dateFormat, new Date());
-		var dayDiff = differenceInCalendarDays(today, lastCycleDate);
-		var days = Math.floor(dayDiff / cycleDays) * cycleDays;
-		nextDate = addDays(lastCycleDate, days);
-		aheadDate = addDays(nextDate, cycleDays);
-	} else {
-		const currentDate = today;
-		nextDate = currentDate;
-		aheadDate = addDays(nextDate, cycleDays);
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// Release calendar (config.calendar): anchor weekday, holidays and code freezes, with dates in dateFormat
+function resolveCalendar(config) {
+	const calendar = config.calendar || {};
+	const parseCalendarDate = (value, key) => {
+		const date = parse(String(value), config.dateFormat, new Date());
+		if (isNaN(date)) exitWithError(ERROR_CODES.CONFIG_ERROR, `calendar.${key}: invalid date "${value}" (expected ${config.dateFormat})`);
+		return date;
+	};
+
+	let anchorWeekday = null;
+	if (calendar.anchorWeekday !== undefined && calendar.anchorWeekday !== null) {
+		anchorWeekday = typeof calendar.anchorWeekday === 'number'
+			? calendar.anchorWeekday
+			: WEEKDAYS.indexOf(String(calendar.anchorWeekday).toLowerCase());
+		if (!Number.isInteger(anchorWeekday) || anchorWeekday < 0 || anchorWeekday > 6) {
+			exitWithError(ERROR_CODES.CONFIG_ERROR, `calendar.anchorWeekday: "${calendar.anchorWeekday}" is not a weekday (monday..sunday or 0..6)`);
+		}
 	}
-	return {
-		current: format(nextDate, dateFormat),
-		next: format(aheadDate, dateFormat)
+	const freezePolicy = calendar.freezePolicy || 'postpone';
+	if (!['postpone', 'skip'].includes(freezePolicy)) {
+		exitWithError(ERROR_CODES.CONFIG_ERROR, `calendar.freezePolicy: unknown policy "${freezePolicy}" (expected postpone or skip)`);
 	}
+	const freezes = (calendar.freezes || []).map((freeze, index) => {
+		const from = parseCalendarDate(freeze.from, `freezes[${index}].from`);
+		const to = parseCalendarDate(freeze.to || freeze.from, `freezes[${index}].to`);
+		if (to < from) exitWithError(ERROR_CODES.CONFIG_ERROR, `calendar.freezes[${index}] ends before it starts`);
+		return {
+			name: freeze.name || `freeze ${format(from, config.dateFormat)}`,
+			from,
+			to,
+			environments: freeze.environments || calendar.freezeEnvironments || ['pre', 'pro']
+		};
+	});
+	return {
+		anchorWeekday,
+		holidays: (calendar.holidays || []).map((value, index) => format(parseCalendarDate(value, `holidays[${index}]`), 'yyyy-MM-dd')),
+		freezes,
+		freezePolicy
+	};
 }
 
-function updateNextCycleBranches(config, status, currentDateString, cycleDays = 14, branchPrefix = '', dateFormat = "yyyy-MM-dd") {
-	var nextDate;
-	var aheadDate;
-	if (status.lastCycleDate) // string
-	{
-		var today = parse(currentDateString, dateFormat, new Date());
-		const lastCycleDate = parse(status.lastCycleDate, config.dateFormat, new Date());
-		var dayDiff = differenceInCalendarDays(today, lastCycleDate);
-		var days = Math.floor(dayDiff / cycleDays) * cycleDays;
-		nextDate = addDays(lastCycleDate, days);
-		aheadDate = addDays(nextDate, cycleDays);
-	} else {
-		const currentDate = startOfDay(new Date())
-		nextDate = currentDate;
-		aheadDate = addDays(nextDate, cycleDays);
-	}
+function findFreeze(calendar, date) {
+	const day = startOfDay(date);
+	return calendar.freezes.find(freeze => day >= freeze.from && day <= freeze.to) || null;
+}
 
-	var obj = {
-		aheadCycleDate: format(aheadDate, dateFormat),
-		nextCycleDate: format(nextDate, dateFormat),
-		newBaseBranch: config.branchPrefix ? `${config.branchPrefix}/${format(nextDate, dateFormat)}` : format(nextDate, dateFormat),
-		currentBranch: getBranchName(status.base),
-		uatSourceBranch: getBranchName(status.uat),
-		proSourceBranch: getBranchName(status.pro),
-	}
+// The most recent anchor weekday on or before `date` (the date itself without an anchor)
+function alignToAnchorWeekday(calendar, date) {
+	if (calendar.anchorWeekday === null) return date;
+	return addDays(date, -((date.getDay() - calendar.anchorWeekday + 7) % 7));
+}
 
-	if (obj.proSourceBranch != obj.uatSourceBranch) {
-		logInfo(`set pro to ${obj.uatSourceBranch}`);
-		obj.proSourceBranch = obj.uatSourceBranch;
-	}
-	if (obj.uatSourceBranch != obj.currentBranch) {
-		// pre branch rebase to status.base
-		// set status.pre = status.base
-		logInfo(`set uat to ${obj.currentBranch}`)
-		obj.uatSourceBranch = obj.currentBranch;
+// Place a nominal cycle date on the calendar: align it to the anchor weekday, then move it past
+// holidays and freezes. `date` is null when the freeze policy skips the cycle
+function placeCycleDate(calendar, nominal, dateFormat) {
+	let date = alignToAnchorWeekday(calendar, nominal);
+	const reasons = [];
+	for (let day = 0; day < 366; day++) {
+		const freeze = findFreeze(calendar, date);
+		if (freeze) {
+			if (calendar.freezePolicy === 'skip') return { nominal, date: null, reason: `skipped, in ${freeze.name}` };
+			reasons.push(`postponed after ${freeze.name}`);
+			date = addDays(freeze.to, 1);
+			continue;
+		}
+		if (calendar.holidays.includes(format(date, 'yyyy-MM-dd'))) {
+			reasons.push(`holiday ${format(date, dateFormat)}`);
+			date = addDays(date, 1);
+			continue;
+		}
+		return { nominal, date, reason: reasons.join(', ') || null };
 	}
-	return obj;
+	exitWithError(ERROR_CODES.CONFIG_ERROR, `The calendar leaves no day for the cycle of ${format(nominal, dateFormat)}`);
 }
 
-// Updated calculateBranchDates to use days instead of weeks
-function calculateBranchDates(config, status, dateString, cycleDays = 14, branchPrefix = '', dateFormat = "yyyy-MM-dd") {
-	return {
-		newBaseBranch: getBranchName(status.base),
-		uatSourceBranch: getBranchName(status.uat),
-		proSourceBranch: getBranchName(status.pro),
+// Scheduled cycle dates after `lastCycleDate`: each one cycleDays after the previous cycle, placed on the
+// calendar (a skipped cycle keeps the rhythm of the one before it). Stops after `count` dates, or after
+// the first date later than `until`. Skipped cycles are listed with date null
+function listCycleDates(config, lastCycleDate, { count = null, until = null, cycleDays = config.cycleDays } = {}) {
+	const calendar = resolveCalendar(config);
+	const entries = [];
+	let previous = lastCycleDate;
+	let cycles = 1;
+	for (let index = 0; index < 10000; index++) {
+		const entry = placeCycleDate(calendar, addDays(previous, cycles * cycleDays), config.dateFormat);
+		if (entry.date && entry.date <= previous) {
+			// aligned back onto the previous cycle, try the one after
+			cycles++;
+			continue;
+		}
+		entries.push(entry);
+		if (!entry.date) {
+			cycles++;
+			continue;
+		}
+		previous = entry.date;
+		cycles = 1;
+		if (count && entries.filter(item => item.date).length >= count) break;
+		if (until && entry.date > until) break;
 	}
+	return entries;
 }
 
-// Check if specified date is a valid execution day based on last cycle from status
-function isExecutionDay(dateFormat, currentDate, cycleDays = 14, lastCycleDate = null) {
-	// If no last cycle date exists (first run), consider it an execution day
-	if (!lastCycleDate) return true;
-
-	var today = parse(currentDate, dateFormat, new Date());
-	var lastTime = parse(lastCycleDate, dateFormat, new Date());
-	const dayDiff = differenceInCalendarDays(today, lastTime);
-	// Return true if difference is at least cycleDays
-	return dayDiff >= cycleDays;
+// The cycle date in effect on `today` (the last scheduled date not after it) and the one following it
+function resolveCycleDates(config, lastCycleDateString, today, cycleDays = config.cycleDays) {
+	if (!lastCycleDateString) {
+		// first cycle: starts on the most recent anchor weekday
+		const current = alignToAnchorWeekday(resolveCalendar(config), startOfDay(today));
+		const [next] = listCycleDates(config, current, { count: 1, cycleDays }).filter(entry => entry.date);
+		return { current, next: next.date };
+	}
+	const lastCycleDate = parse(lastCycleDateString, config.dateFormat, new Date());
+	const scheduled = listCycleDates(config, lastCycleDate, { until: today, cycleDays }).filter(entry => entry.date);
+	const passed = scheduled.filter(entry => entry.date <= today);
+	const current = passed.length > 0 ? passed[passed.length - 1].date : lastCycleDate;
+	return { current, next: scheduled.find(entry => entry.date > today).date };
 }
 
-
-// Git operations handler with strict error checking
-class GitOperations {
-	constructor(config, gitDir, dryRun = false) {
-		this.gitDir = gitDir || process.cwd();
-		this.simpleGit = simpleGit({
-			baseDir: this.gitDir,
-			binary: 'git',
-			maxConcurrentProcesses: 1
-		});
-		if (config.debug) {
-			this.simpleGit.outputHandler((command, stdout, stderr) => {
-				console.log("command", command);
-				stdout.on('data', (data) => {
-					console.log(`[stdout] ${data}`);
-				});
-				stderr.on('data', (data) => {
-					console.error(`[stderr] ${data}`);
-				});
-			});
+// Schema of the config file: type, allowed values and ranges of every key.
+// `properties` describe nested objects, `items` array entries, `config` nested config keys (overrides).
+// `values` are compared exactly unless `ignoreCase` is set (only for keys lowercased where they are used)
+const CONFIG_SCHEMA = {
+	git: { type: 'string' },
+	debug: { type: 'boolean' },
+	baseBranch: { type: 'string', branch: true },
+	uatBranch: { type: 'string', branch: true },
+	preBranch: { type: 'string', branch: true },
+	proBranch: { type: 'string', branch: true },
+	remoteName: { type: 'string', pattern: /^[^\s/]+$/, patternHint: 'a remote name without spaces or slashes' },
+	cycleDays: { type: 'integer', min: 1 },
+	branchPrefix: { type: 'string', branch: true, empty: true },
+	autoRemoveBranches: { type: 'boolean' },
+	branchRetentionCycles: { type: 'integer', min: 1 },
+	pruneMergedOnly: { type: 'boolean' },
+	syncStrategy: { type: 'string', values: SYNC_STRATEGIES },
+	gateTimeoutSeconds: { type: 'integer', min: 1 },
+	dateFormat: { type: 'string' },
+	hotfixPrefix: { type: 'string', branch: true },
+	lockFile: { type: 'string' },
+	lockTimeoutMinutes: { type: 'number', min: 1 },
+	remoteLock: { type: 'boolean' },
+	remoteLockRef: { type: 'string', pattern: /^refs\/\S+$/, patternHint: 'a ref starting with refs/' },
+	conflictReport: { type: 'string' },
+	conflictBranches: { type: 'boolean' },
+	conflictBranchPrefix: { type: 'string', branch: true },
+	promotionBranchPrefix: { type: 'string', branch: true },
+	releaseNotes: { type: 'boolean' },
+	releaseNotesDir: { type: 'string' },
+	releaseNotesGroupBy: { type: 'string', values: ['type', 'author'] },
+	daemonRunAt: { type: 'string', pattern: /^([01]?\d|2[0-3]):[0-5]\d$/, patternHint: 'a time of day as HH:mm' },
+	daemonMergeIntervalMinutes: { type: 'number', min: 0 },
+	daemonHeartbeat: { type: 'string' },
+	tags: { type: 'boolean' },
+	tagTemplate: { type: 'string' },
+	tagEnvironments: { type: 'array', items: { type: 'string' } },
+	tagSemver: { type: 'boolean' },
+	tagMajorVersion: { type: 'integer', min: 0 },
+	environments: {
+		type: 'array',
+		items: {
+			type: 'object',
+			properties: {
+				name: { type: 'string', required: true },
+				branch: { type: 'string', branch: true },
+				target: { type: 'string', pattern: /^(cycle|(previous|current):.+)$/, patternHint: 'cycle, previous:<env> or current:<env>' },
+				noFastForward: { type: 'boolean' },
+				syncStrategy: { type: 'string', values: SYNC_STRATEGIES },
+				promotionMode: { type: 'string', values: ['merge', 'pr'] },
+				gates: {
+					type: 'array',
+					items: {
+						type: 'object',
+						properties: {
+							name: { type: 'string' },
+							command: { type: 'string', required: true },
+							timeoutSeconds: { type: 'integer', min: 1 },
+							env: { type: 'object', additional: { type: ['string', 'number', 'boolean'] } }
+						}
+					}
+				}
+			}
+		}
+	},
+	repositories: {
+		type: 'array',
+		items: {
+			type: 'object',
+			properties: {
+				name: { type: 'string' },
+				path: { type: 'string', required: true },
+				remote: { type: 'string' },
+				status: { type: 'string' },
+				overrides: { type: 'object', config: true }
+			}
+		}
+	},
+	pullRequests: {
+		type: 'object',
+		properties: {
+			provider: { type: 'string', values: ['github', 'gitlab'] },
+			apiUrl: { type: 'string', pattern: /^https?:\/\//, patternHint: 'an http(s) URL' },
+			repository: { type: 'string' },
+			tokenEnv: { type: 'string' }
+		}
+	},
+	notifications: {
+		type: 'object',
+		properties: {
+			timeoutSeconds: { type: 'number', min: 1 },
+			webhooks: {
+				type: 'array',
+				items: {
+					type: 'object',
+					properties: {
+						url: { type: 'string', required: true, pattern: /^https?:\/\//, patternHint: 'an http(s) URL' },
+						format: { type: 'string', values: ['json', 'slack', 'teams'] },
+						events: { type: 'array', items: { type: 'string', values: NOTIFICATION_EVENTS } },
+						headers: { type: 'object', additional: { type: 'string' } }
+					}
+				}
+			}
+		}
+	},
+	calendar: {
+		type: 'object',
+		properties: {
+			anchorWeekday: { type: ['string', 'integer'], values: [...WEEKDAYS, 0, 1, 2, 3, 4, 5, 6], ignoreCase: true },
+			holidays: { type: 'array', items: { type: 'string', date: true } },
+			freezes: {
+				type: 'array',
+				items: {
+					type: 'object',
+					properties: {
+						name: { type: 'string' },
+						from: { type: 'string', date: true, required: true },
+						to: { type: 'string', date: true },
+						environments: { type: 'array', items: { type: 'string' } }
+					}
+				}
+			},
+			freezePolicy: { type: 'string', values: ['postpone', 'skip'] },
+			freezeEnvironments: { type: 'array', items: { type: 'string' } }
 		}
-		this.config = config;
-		this.dryRun = dryRun;
-		this.currentBranch = null;
 	}
+};
 
-	async execute(command, actionDescription, critical = true) {
-		console.log(`=== ${actionDescription} ===`);
-		// logAction(actionDescription);
-		// logInfo(`[GIT DIR] ${this.gitDir}`);
+// Keys that were renamed or never existed but show up in configs
+const CONFIG_KEY_HINTS = {
+	cycleWeeks: 'use cycleDays instead (in days, e.g. "cycleDays": 14 for two weeks)'
+};
 
-		if (this.dryRun) {
-			logInfo(`[DRY RUN] Would execute this action`);
-			return { success: true, dryRun: true };
-		}
+// Check-ref-format rules for branch names, without calling git
+function isValidBranchName(name) {
+	return !!name
+		&& !/[\s~^:?*[\\\x00-\x1f\x7f]/.test(name)
+		&& !name.includes('..')
+		&& !name.includes('@{')
+		&& !name.includes('//')
+		&& !/^[-/.]/.test(name)
+		&& !/(\/|\.|\.lock)$/.test(name)
+		&& !/\/\./.test(name);
+}
 
-		try {
-			const result = await command();
-			console.log("   ✅")
-			// logSuccess('Operation completed');
-			return { success: true, result };
-		} catch (error) {
-			stdout.write(" - ❌ ${error.message}");
-			// console.error(`   ❌ ${error.message}`);
-			if (critical) exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, 'Critical operation failed - exiting');
-			return { success: false, error };
+function editDistance(a, b) {
+	const row = Array.from({ length: b.length + 1 }, (_, index) => index);
+	for (let i = 1; i <= a.length; i++) {
+		let previous = row[0];
+		row[0] = i;
+		for (let j = 1; j <= b.length; j++) {
+			const current = row[j];
+			row[j] = Math.min(row[j] + 1, row[j - 1] + 1, previous + (a[i - 1] === b[j - 1] ? 0 : 1));
+			previous = current;
+		}
+	}
+	return row[b.length];
+}
+
+function describeType(type) {
+	return Array.isArray(type) ? type.join(' or ') : (type === 'integer' ? 'an integer' : type === 'array' ? 'an array' : type === 'object' ? 'an object' : `a ${type}`);
+}
+
+function matchesType(value, type) {
+	if (Array.isArray(type)) return type.some(item => matchesType(value, item));
+	if (type === 'integer') return Number.isInteger(value);
+	if (type === 'number') return typeof value === 'number' && Number.isFinite(value);
+	if (type === 'array') return Array.isArray(value);
+	if (type === 'object') return !!value && typeof value === 'object' && !Array.isArray(value);
+	return typeof value === type;
+}
+
+// Check `value` against a schema entry, adding { level, path, message } issues
+function validateValue(value, schema, keyPath, issues, config) {
+	const error = (message) => issues.push({ level: 'error', path: keyPath, message });
+	if (!matchesType(value, schema.type)) {
+		error(`expected ${describeType(schema.type)}, got ${JSON.stringify(value)}`);
+		return;
+	}
+	if (schema.values) {
+		const normalized = schema.ignoreCase && typeof value === 'string' ? value.toLowerCase() : value;
+		if (!schema.values.includes(normalized)) error(`${JSON.stringify(value)} is not one of ${schema.values.join(', ')}`);
+	}
+	if (schema.min !== undefined && value < schema.min) error(`must be at least ${schema.min}, got ${value}`);
+	if (schema.max !== undefined && value > schema.max) error(`must be at most ${schema.max}, got ${value}`);
+	if (schema.pattern && !schema.pattern.test(value)) error(`${JSON.stringify(value)} is not ${schema.patternHint}`);
+	if (schema.branch && !(schema.empty && value === '') && !isValidBranchName(value)) error(`${JSON.stringify(value)} is not a valid branch name`);
+	if (schema.date && isNaN(parseConfigDate(value, config.dateFormat))) error(`${JSON.stringify(value)} is not a date in dateFormat (${config.dateFormat})`);
+	if (schema.items) value.forEach((item, index) => validateValue(item, schema.items, `${keyPath}[${index}]`, issues, config));
+	if (schema.config) validateKeys(value, CONFIG_SCHEMA, keyPath, issues, config);
+	if (schema.properties) validateKeys(value, schema.properties, keyPath, issues, config);
+	if (schema.additional) Object.entries(value).forEach(([key, item]) => validateValue(item, schema.additional, `${keyPath}.${key}`, issues, config));
+}
+
+function validateKeys(object, properties, keyPath, issues, config) {
+	const prefix = keyPath ? `${keyPath}.` : '';
+	Object.entries(properties).forEach(([key, schema]) => {
+		if (schema.required && (object[key] === undefined || object[key] === null || object[key] === '')) {
+			issues.push({ level: 'error', path: `${prefix}${key}`, message: 'is required' });
+		}
+	});
+	Object.entries(object).forEach(([key, value]) => {
+		const schema = properties[key];
+		if (!schema) {
+			const suggestion = Object.keys(properties).find(known => editDistance(known.toLowerCase(), key.toLowerCase()) <= 2);
+			const hint = CONFIG_KEY_HINTS[key] || (suggestion ? `did you mean ${suggestion}?` : 'it is ignored');
+			issues.push({ level: 'warning', path: `${prefix}${key}`, message: `unknown key, ${hint}` });
+			return;
+		}
+		if (value === undefined || value === null) return;
+		validateValue(value, schema, `${prefix}${key}`, issues, config);
+	});
+}
+
+// parse() that returns an invalid date instead of throwing on a broken format
+function parseConfigDate(value, dateFormat) {
+	try {
+		return parse(String(value), dateFormat, new Date());
+	} catch (error) {
+		return new Date(NaN);
+	}
+}
+
+// Checks across keys: the pipeline, dateFormat, and the settings features depend on
+function checkConfigConsistency(config, keyPath, issues) {
+	const prefix = keyPath ? `${keyPath}.` : '';
+	const add = (level, pathName, message) => issues.push({ level, path: `${prefix}${pathName}`, message });
+
+	const environments = normalizeEnvironments(config);
+	const names = environments.map(env => env.name);
+	findEnvironmentProblems(environments).forEach(problem => add('error', 'environments', problem));
+
+	// the cycle date must survive format → parse, or the status file cannot be read back
+	[new Date(2025, 0, 5), new Date(2025, 11, 31)].some(sample => {
+		let formatted;
+		let parsed;
+		try {
+			formatted = format(sample, config.dateFormat);
+			parsed = parse(formatted, config.dateFormat, new Date());
+		} catch (error) {
+			add('error', 'dateFormat', `${JSON.stringify(config.dateFormat)} is not a valid date-fns format: ${error.message}`);
+			return true;
+		}
+		if (isNaN(parsed) || differenceInCalendarDays(parsed, sample) !== 0) {
+			add('error', 'dateFormat', `${JSON.stringify(config.dateFormat)} does not round-trip: ${format(sample, 'yyyy-MM-dd')} is written as "${formatted}" and read back as ${isNaN(parsed) ? 'an invalid date' : format(parsed, 'yyyy-MM-dd')}`);
+			return true;
+		}
+		if (!isValidBranchName(formatBranchName(config, formatted))) {
+			add('error', 'dateFormat', `cycle branch "${formatBranchName(config, formatted)}" is not a valid branch name`);
+			return true;
+		}
+		return false;
+	});
+
+	(Array.isArray(config.environments) ? config.environments : []).forEach((env, index) => {
+		if (!env || !env.syncStrategy) return;
+		if (env.promotionMode === 'pr') add('warning', `environments[${index}].syncStrategy`, 'is ignored, pull requests are merged by the hosting service');
+		if (env.noFastForward && env.syncStrategy !== 'no-ff') add('warning', `environments[${index}].noFastForward`, `is ignored, syncStrategy "${env.syncStrategy}" is used`);
+	});
+	if (environments.some(env => env.promotionMode === 'pr') && !(config.pullRequests && config.pullRequests.repository)) {
+		add('error', 'pullRequests.repository', 'is required when an environment uses promotionMode "pr"');
+	}
+	if (config.tags) {
+		const placeholders = (config.tagTemplate.match(/\{[^}]*\}/g) || []).map(placeholder => placeholder.slice(1, -1));
+		placeholders.filter(name => !TAG_PLACEHOLDERS.includes(name)).forEach(name => {
+			add('error', 'tagTemplate', `unknown placeholder {${name}} (expected ${TAG_PLACEHOLDERS.map(item => `{${item}}`).join(', ')})`);
+		});
+		if (!config.tagSemver && placeholders.some(name => ['version', 'major', 'minor', 'patch'].includes(name))) {
+			add('error', 'tagTemplate', 'uses a version placeholder, set tagSemver');
+		}
+		const tagged = environments.filter(env => isTaggedEnvironment(config, env, environments));
+		if (tagged.length > 1 && !placeholders.some(name => ['env', 'branch'].includes(name))) {
+			add('error', 'tagTemplate', `needs {env} or {branch}, several environments are tagged (${tagged.map(env => env.name).join(', ')})`);
+		}
+		const sample = formatTagName(config, { env: environments[environments.length - 1], date: format(new Date(2025, 8, 15), config.dateFormat), version: '1.2.3' });
+		if (!isValidBranchName(sample)) add('error', 'tagTemplate', `tag "${sample}" is not a valid tag name`);
+	}
+	(config.tagEnvironments || []).forEach((name, index) => {
+		if (!names.includes(name)) add('warning', `tagEnvironments[${index}]`, `"${name}" is not an environment (${names.join(', ')})`);
+	});
+	const calendar = config.calendar || {};
+	[
+		...(calendar.freezeEnvironments || []).map((name, index) => [`calendar.freezeEnvironments[${index}]`, name]),
+		...(calendar.freezes || []).flatMap((freeze, index) => (freeze.environments || []).map((name, envIndex) => [`calendar.freezes[${index}].environments[${envIndex}]`, name]))
+	].forEach(([pathName, name]) => {
+		if (!names.includes(name)) add('warning', pathName, `"${name}" is not an environment (${names.join(', ')})`);
+	});
+	(calendar.freezes || []).forEach((freeze, index) => {
+		const from = parseConfigDate(freeze.from, config.dateFormat);
+		const to = parseConfigDate(freeze.to || freeze.from, config.dateFormat);
+		if (!isNaN(from) && !isNaN(to) && to < from) add('error', `calendar.freezes[${index}]`, `ends (${freeze.to}) before it starts (${freeze.from})`);
+	});
+}
+
+// Validate a config (defaults merged in): schema errors and unknown-key warnings, then the consistency
+// of the effective config of every repository
+function validateConfig(config) {
+	const issues = [];
+	validateKeys(config, CONFIG_SCHEMA, '', issues, config);
+	if (issues.some(issue => issue.level === 'error')) return issues;
+	if (Array.isArray(config.repositories) && config.repositories.length > 0) {
+		config.repositories.forEach((repo, index) => {
+			const { repositories, ...shared } = config;
+			checkConfigConsistency({ ...shared, ...(repo.overrides || {}) }, `repositories[${index}]`, issues);
+		});
+	} else {
+		checkConfigConsistency(config, '', issues);
+	}
+	return issues;
+}
+
+// The top-level key an issue is about, e.g. environments for environments[2].target
+function configIssueKey(issue) {
+	return issue.path.split(/[.[]/)[0];
+}
+
+function formatConfigIssue(issue, origins = {}) {
+	const origin = origins[configIssueKey(issue)];
+	return `${issue.path || '(config)'}: ${issue.message}${origin && origin !== 'default' ? ` [${origin}]` : ''}`;
+}
+
+function calculateCycleDateInfo(config, status, currentDateString, cycleDays = 14, dateFormat = "yyyy-MM-dd") {
+	var today = parse(currentDateString, dateFormat, new Date());
+	const { current, next } = resolveCycleDates(config, status.lastCycleDate, today, cycleDays);
+	return {
+		current: format(current, dateFormat),
+		next: format(next, dateFormat)
+	}
+}
+
+function updateNextCycleBranches(config, status, currentDateString, cycleDays = 14, branchPrefix = '', dateFormat = "yyyy-MM-dd") {
+	var today = parse(currentDateString, dateFormat, new Date());
+	const { current: nextDate, next: aheadDate } = resolveCycleDates(config, status.lastCycleDate, today, cycleDays);
+
+	const environments = getEnvironments(config);
+	const newBaseBranch = formatBranchName(config, format(nextDate, dateFormat));
+	const targets = resolveRotationTargets(environments, status, newBaseBranch);
+	environments.forEach(env => {
+		if (targets[env.name] != getBranchName(status[env.name])) {
+			logInfo(`set ${env.name} to ${targets[env.name]}`);
+		}
+	});
+
+	return {
+		aheadCycleDate: format(aheadDate, dateFormat),
+		nextCycleDate: format(nextDate, dateFormat),
+		newBaseBranch,
+		targets
+	};
+}
+
+// Updated calculateBranchDates to use days instead of weeks
+function calculateBranchDates(config, status, dateString, cycleDays = 14, branchPrefix = '', dateFormat = "yyyy-MM-dd") {
+	const targets = {};
+	getEnvironments(config).forEach(env => {
+		targets[env.name] = getBranchName(status[env.name]);
+	});
+	return targets;
+}
+
+// Check if specified date is a valid execution day based on last cycle from status
+// (with config, based on the release calendar: a scheduled cycle date after the last cycle has come)
+function isExecutionDay(dateFormat, currentDate, cycleDays = 14, lastCycleDate = null, config = null) {
+	// If no last cycle date exists (first run), consider it an execution day
+	if (!lastCycleDate) return true;
+	if (config) {
+		const today = parse(currentDate, dateFormat, new Date());
+		return resolveCycleDates(config, lastCycleDate, today, cycleDays).current > parse(lastCycleDate, dateFormat, new Date());
+	}
+
+	var today = parse(currentDate, dateFormat, new Date());
+	var lastTime = parse(lastCycleDate, dateFormat, new Date());
+	const dayDiff = differenceInCalendarDays(today, lastTime);
+	// Return true if difference is at least cycleDays
+	return dayDiff >= cycleDays;
+}
+
+
+// Git operations handler with strict error checking
+class GitOperations {
+	constructor(config, gitDir, dryRun = false, journal = null, notifier = null) {
+		this.gitDir = gitDir || process.cwd();
+		if (!existsSync(this.gitDir)) {
+			exitWithError(ERROR_CODES.FILE_NOT_FOUND, `Git directory not found: ${path.resolve(this.gitDir)}`);
+		}
+		this.simpleGit = simpleGit({
+			baseDir: this.gitDir,
+			binary: 'git',
+			maxConcurrentProcesses: 1
+		});
+		if (config.debug) {
+			this.simpleGit.outputHandler((command, stdout, stderr) => {
+				logger.log("command", command);
+				stdout.on('data', (data) => {
+					logger.log(`[stdout] ${data}`);
+				});
+				stderr.on('data', (data) => {
+					console.error(`[stderr] ${data}`);
+				});
+			});
+		}
+		this.config = config;
+		this.dryRun = dryRun;
+		this.journal = journal;
+		this.notifier = notifier;
+		this.conflicts = [];
+		this.gateFailures = [];
+		this.currentBranch = null;
+	}
+
+	// details ({ action, from, to }) describe the action for the audit journal
+	async execute(command, actionDescription, critical = true, details = null) {
+		logger.log(`=== ${actionDescription} ===`);
+		// logAction(actionDescription);
+		// logInfo(`[GIT DIR] ${this.gitDir}`);
+
+		if (this.dryRun) {
+			logInfo(`[DRY RUN] Would execute this action`);
+			this.reportAction(details, actionDescription, 'dry-run');
+			return { success: true, dryRun: true };
+		}
+
+		const before = this.journal && details ? await this.resolveCommit(details.to) : null;
+		try {
+			const result = await command();
+			logger.log("   ✅")
+			// logSuccess('Operation completed');
+			await this.recordAction(details, actionDescription, before, 'success');
+			await this.notifyAction(details, 'success');
+			this.reportAction(details, actionDescription, 'success');
+			return { success: true, result };
+		} catch (error) {
+			logger.log(` - ❌ ${error.message}`);
+			// console.error(`   ❌ ${error.message}`);
+			await this.recordAction(details, actionDescription, before, 'failed', error);
+			await this.notifyAction(details, 'failed', error);
+			this.reportAction(details, actionDescription, 'failed', error);
+			if (critical) await flushNotifications(this.notifier);
+			if (critical) exitWithError(error.conflict ? ERROR_CODES.MERGE_FAILED : ERROR_CODES.GIT_OPERATION_FAILED, 'Critical operation failed - exiting');
+			return { success: false, error };
 		}
 	}
 
+	async recordAction(details, description, before, result, error = null) {
+		if (!this.journal || !details) return;
+		await appendJournal(this.journal, {
+			...details,
+			description,
+			before,
+			after: await this.resolveCommit(details.to),
+			result,
+			error: error ? error.message : null
+		});
+	}
+
+	reportAction(details, description, result, error = null) {
+		addJsonReport('actions', {
+			action: details ? details.action : null,
+			from: details ? details.from : null,
+			to: details ? details.to : null,
+			description,
+			result,
+			error: error ? error.message : null
+		});
+	}
+
+	// Map journaled git actions to notification events
+	async notifyAction(details, result, error = null) {
+		if (!this.notifier || !details) return;
+		let event = null;
+		if (details.action === 'create' && result === 'success') event = 'branch-created';
+		const merging = ['merge', 'squash', 'rebase', 'fast-forward'].includes(details.action);
+		if (merging) event = result === 'success' ? 'merge-succeeded' : (error.conflict ? 'merge-conflict' : null);
+		if (['push', 'force-push'].includes(details.action) && result === 'failed') event = 'push-failed';
+		if (!event) return;
+
+		const environment = getEnvironments(this.config).find(env => env.branch === details.to || `${this.config.remoteName}/${env.branch}` === details.to)
+			|| (merging ? getEnvironments(this.config).find(env => env.branch === details.from) : null);
+		const branch = details.action === 'create' || merging ? details.to : details.from;
+		notify(this.notifier, event, {
+			environment: environment ? environment.name : null,
+			branch,
+			from: details.from,
+			to: details.to,
+			commit: await this.describeCommit(branch),
+			error: error ? error.message : null
+		});
+	}
+
 	async getCurrentBranch() {
 		if (this.currentBranch) return this.currentBranch;
 
@@ -413,12 +1341,18 @@ class GitOperations {
 	async branchExists(branch) {
 		try {
 			const localBranches = await this.simpleGit.branchLocal();
-			if (localBranches.all.includes(branch)) return true;
-
-			const remoteBranches = await this.simpleGit.raw([
-				'ls-remote', '--heads', this.config.remoteName, branch
-			]);
-			return remoteBranches.trim() !== '';
+			let exists = localBranches.all.includes(branch);
+			if (!exists) {
+				const remoteBranches = await this.simpleGit.raw([
+					'ls-remote', '--heads', this.config.remoteName, branch
+				]);
+				exists = remoteBranches.trim() !== '';
+			}
+			if (jsonReport) {
+				jsonReport.branches = jsonReport.branches.filter(item => item.branch !== branch);
+				addJsonReport('branches', { branch, exists });
+			}
+			return exists;
 		} catch (error) {
 			exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, `Failed to check branch existence: ${error.message}`);
 		}
@@ -459,7 +1393,8 @@ class GitOperations {
 				this.evaluateGitResult(result);
 			},
 			`Pulling from ${this.config.remoteName}/${branch} ⬇️`,
-			critical
+			critical,
+			{ action: 'pull', from: `${this.config.remoteName}/${branch}`, to: branch }
 		);
 	}
 	async fetch()
@@ -490,7 +1425,8 @@ class GitOperations {
 				await this.simpleGit.commit(message, ['--allow-empty']);
 			},
 			`Creating branch ${newBranch} from ${fromBranch}`,
-			critical
+			critical,
+			{ action: 'create', from: fromBranch, to: newBranch }
 		);
 	}
 	async emptyCommit(message) {
@@ -498,775 +1434,3343 @@ class GitOperations {
 		await this.simpleGit.commit(message, ['--allow-empty']);
 	}
 
+	// Rebase branch onto ontoBranch, starting from its remote head (which a rebase replaced last time,
+	// so pulling would merge the old history back in); a failed rebase is aborted
 	async rebase(branch, ontoBranch, critical = true) {
 		return this.execute(
 			async () => {
 				await this.simpleGit.checkout(branch);
-				await this.simpleGit.pull(this.config.remoteName, branch);
-				await this.simpleGit.rebase(ontoBranch);
+				if (await this.remoteBranchExists(branch)) {
+					await this.simpleGit.reset(['--hard', `${this.config.remoteName}/${branch}`]);
+				}
+				try {
+					await this.simpleGit.rebase([ontoBranch]);
+				} catch (error) {
+					// Report a stopped rebase like a merge conflict (there is no conflict branch for a rebase)
+					const unmerged = await this.simpleGit.raw(['diff', '--name-only', '--diff-filter=U']);
+					const conflict = unmerged.trim() ? await this.reportConflict(branch, ontoBranch, ontoBranch, false) : null;
+					await this.simpleGit.rebase(['--abort']).catch(() => {});
+					if (!conflict) throw error;
+					const rebaseError = new Error(`Rebase conflict: ${branch} onto ${ontoBranch} (${conflict.files.join(', ')})`);
+					rebaseError.conflict = conflict;
+					throw rebaseError;
+				}
 			},
 			`Rebasing ${branch} onto ${ontoBranch}`,
-			critical
+			critical,
+			{ action: 'rebase', from: ontoBranch, to: branch }
 		);
 	}
-	async reset(from, to, critical = true)
-	{
+	// Squash the changes of fromBranch into one commit on branch. The message lists the commits since
+	// the previous squash, whose head it records in a Squashed-Head trailer
+	async squash(branch, fromBranch, critical = true) {
 		return this.execute(
 			async () => {
-				await this.simpleGit.checkout(to);
-				await this.simpleGit.reset(['--hard']);
-				logWarn("Reset to last commit.");
+				await this.simpleGit.checkout(branch);
+				if (await this.remoteBranchExists(branch)) {
+					await this.simpleGit.pull(this.config.remoteName, branch);
+				}
+				const previousHead = (await this.simpleGit.raw(['log', '-1', '--format=%(trailers:key=Squashed-Head,valueonly)', `--grep=^Squashed-Head: `, branch])).trim();
+				const commits = await this.listCommits(previousHead || branch, fromBranch);
+				// After an earlier squash only the changes since its head are applied: a merge against the
+				// original fork point would apply those again and conflict with them
+				const since = previousHead && await this.isAncestor(previousHead, fromBranch) ? previousHead : null;
+				await this.mergeOrReport(branch, fromBranch, fromBranch, ['--squash'], since);
+				if ((await this.simpleGit.status()).isClean()) {
+					logger.log("Everything up-to-date");
+					return;
+				}
+				const head = await this.resolveCommit(fromBranch);
+				await this.simpleGit.commit([
+					`Squash ${fromBranch} into ${branch} (${commits.length} commit(s))`,
+					commits.map(commit => `- ${commit.message} (${commit.hash.substring(0, 8)})`).join('\n'),
+					`Squashed-Head: ${head}`
+				].filter(part => part));
 			},
-			`Reset (${from}) → (${to}) }`,
-			critical
+			`Squashing (${fromBranch}) → (${branch})`,
+			critical,
+			{ action: 'squash', from: fromBranch, to: branch }
 		);
 	}
-	async merge(branch, fromBranch, noFastForward = false, critical = true) {
-		const options = noFastForward ? ['--no-ff'] : [];
+	// Fast-forward branch to fromBranch, failing when branch has commits fromBranch does not contain.
+	// Commits without content of their own (the empty commits the tool creates branches with, merges of
+	// what fromBranch already has) do not count: they are dropped and the result says the push must force
+	async fastForward(branch, fromBranch, critical = true) {
 		return this.execute(
 			async () => {
-				// console.log("checkout", branch);
 				await this.simpleGit.checkout(branch);
 				if (await this.remoteBranchExists(branch)) {
-					// console.log("pull", this.config.remoteName, branch);
 					await this.simpleGit.pull(this.config.remoteName, branch);
-				} else {
-					logWarn("remote branch not exists", branch);
 				}
-				// console.log("merge", [fromBranch, ...options]);
-				var result = await this.simpleGit.merge([fromBranch, ...options]);
-				if (result.failed) {
-					console.log("Merge failed:", result.failed);
-					// Abort the merge if possible
-					try {
-						await this.simpleGit.merge(['--abort']);
-						logWarn("Merge aborted.");
-					} catch (abortErr) {
-						logWarn("Merge abort failed, performing hard reset...");
-						await this.simpleGit.reset(['--hard']);
-						logWarn("Reset to last commit.");
-					}
-				} else {
-					this.evaluateGitResult(result);
+				if (await this.isAncestor(branch, fromBranch)) {
+					await this.simpleGit.merge([fromBranch, '--ff-only']);
+					return { rewritten: false };
 				}
-				// const result = await this.simpleGit.push(this.config.remoteName, branch, []);
-				// this.evaluateGitResult(result);
+				const mergeBase = (await this.simpleGit.raw(['merge-base', branch, fromBranch])).trim();
+				const ownChanges = mergeBase ? (await this.simpleGit.raw(['diff', '--name-only', mergeBase, branch])).trim() : 'unrelated';
+				if (ownChanges) {
+					throw new Error(`${branch} has diverged from ${fromBranch}, cannot fast-forward`);
+				}
+				await this.simpleGit.reset(['--hard', fromBranch]);
+				logWarn(`Dropped the commits without changes only on ${branch} to fast-forward it to ${fromBranch}`);
+				return { rewritten: true };
 			},
-			`Merging (${fromBranch}) → (${branch}) ${noFastForward ? '(with merge commit)' : ''}`,
-			critical
+			`Fast-forwarding (${branch}) to (${fromBranch})`,
+			critical,
+			{ action: 'fast-forward', from: fromBranch, to: branch }
 		);
 	}
-	async evaluateGitResult(result) {
-
-		if (!result) return;
-		if (
-			result.pushed &&
-			result.pushed.length > 0 &&
-			result.pushed.every(p => p.alreadyUpdated)
-		) {
-			console.log("Everything up-to-date");
-		} else if (result.summary) {
-			if (result.summary.changes > 0) {
-				// console.log(`changed ${result.summary.changes}`);
-			} else if (result.summary.changes == 0) {
-				console.log("Everything up-to-date");
-			}
-		} else {
-			// console.log("result", result);
+	async reset(from, to, critical = true)
+	{
+		return this.execute(
+			async () => {
+				await this.simpleGit.checkout(to);
+				await this.simpleGit.reset(['--hard', from]);
+				logWarn(`Reset ${to} to ${from}.`);
+			},
+			`Reset (${from}) → (${to})`,
+			critical,
+			{ action: 'reset', from, to }
+		);
+	}
+	// Commit the tree of `from` on top of `to`, undoing everything after it without rewriting history
+	async revert(from, to, message, critical = true)
+	{
+		return this.execute(
+			async () => {
+				await this.simpleGit.checkout(to);
+				await this.simpleGit.raw(['read-tree', '-u', '--reset', from]);
+				const status = await this.simpleGit.status();
+				if (status.isClean()) {
+					logger.log("Everything up-to-date");
+					return;
+				}
+				await this.simpleGit.commit(message);
+			},
+			`Reverting (${to}) to the content of (${from})`,
+			critical,
+			{ action: 'revert', from, to }
+		);
+	}
+	// Same details as getLatestCommitInfo, without checking the branch out
+	async describeCommit(ref) {
+		try {
+			const log = await this.simpleGit.log(['-1', ref]);
+			if (!log.latest) return null;
+			const { hash, date, message, refs, body, author_name, author_email } = log.latest;
+			return { hash, date, message, refs, body: body || '', author_name, author_email };
+		} catch (error) {
+			return null;
+		}
+	}
 
+	// Commit an existing local tag points at, or null
+	async tagCommit(tag) {
+		try {
+			return (await this.simpleGit.raw(['rev-parse', '-q', '--verify', `refs/tags/${tag}^{commit}`])).trim() || null;
+		} catch (error) {
+			return null;
 		}
 	}
-	async push(branch, force = false, critical = true) {
-		const options = force ? ['--force-with-lease'] : [];
+
+	async createTag(tag, ref, message, critical = true) {
 		return this.execute(
 			async () => {
-				const result = await this.simpleGit.push(this.config.remoteName, branch, options);
-				this.evaluateGitResult(result);
+				await this.simpleGit.raw(['tag', '-a', tag, ref, '-m', message]);
 			},
-			`Pushing ${branch} to ${this.config.remoteName} ${force ? '(force)' : ''}`,
-			critical
+			`Tagging ${ref} as ${tag}`,
+			critical,
+			{ action: 'tag', from: ref, to: tag }
 		);
 	}
 
-	async branchesDiverged(branch1, branch2) {
-		if (this.dryRun) return true;
+	async pushTag(tag, critical = true) {
+		return this.execute(
+			async () => {
+				const result = await this.simpleGit.push(this.config.remoteName, `refs/tags/${tag}`);
+				this.evaluateGitResult(result);
+			},
+			`Pushing tag ${tag} to ${this.config.remoteName}`,
+			critical,
+			{ action: 'push', from: tag, to: `${this.config.remoteName}/${tag}` }
+		);
+	}
 
+	async resolveCommit(ref) {
 		try {
-			await this.simpleGit.raw(['merge-base', '--is-ancestor', branch1, branch2]);
-			return false;
+			return (await this.simpleGit.revparse([ref])).trim();
 		} catch (error) {
-			if (error.code === 1) return true;
-			exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, `Failed to check branch divergence: ${error.message}`);
+			return null;
 		}
 	}
-
-	deleteBranch(branch, critical = false) {
-		// console.log("deleteBranch", branch);
+	// Cherry-pick `commits` onto branch with -x (recording the original hash in each message). On
+	// conflicts report them and abort, leaving the branch untouched
+	async cherryPick(branch, commits, critical = true) {
 		return this.execute(
 			async () => {
-				// console.log("X1");
-				console.log("deleteLocalBranch", branch);
+				await this.simpleGit.checkout(branch);
+				if (await this.remoteBranchExists(branch)) {
+					await this.simpleGit.pull(this.config.remoteName, branch);
+				}
 				try {
-					var a = await this.simpleGit.deleteLocalBranch(branch);
-					console.log(a);
-					await this.simpleGit.push(this.config.remoteName, `:${branch}`);
+					await this.simpleGit.raw(['cherry-pick', '-x', ...commits]);
 				} catch (error) {
-					console.error("some error", error);
+					const unmerged = await this.simpleGit.raw(['diff', '--name-only', '--diff-filter=U']);
+					const picking = await this.resolveCommit('CHERRY_PICK_HEAD');
+					const conflict = unmerged.trim() && picking ? await this.reportConflict(branch, picking, picking, false) : null;
+					await this.simpleGit.raw(['cherry-pick', '--abort']).catch(() => {});
+					if (!conflict) throw error;
+					const pickError = new Error(`Cherry-pick conflict: ${picking.substring(0, 8)} onto ${branch} (${conflict.files.join(', ')})`);
+					pickError.conflict = conflict;
+					throw pickError;
 				}
-
 			},
-			`Deleting branch ${branch} (local and remote)`,
-			critical
+			`Cherry-picking ${commits.length} commit(s) onto ${branch}`,
+			critical,
+			{ action: 'cherry-pick', from: commits.join(' '), to: branch }
 		);
 	}
-}
-
-async function emptyCommit(gitOp, config, gitDir, dryRun, statusPath, customDate = null) {
-	await gitOp.checkout(config.baseBranch);
-	await gitOp.emptyCommit("emptyCommit");
-	await gitOp.push(config.baseBranch);
-}
-
-// Initialize required date-based branches with strict error handling
-async function initializeBranches(gitOp, config, gitDir, dryRun, statusPath, customDate = null) {
-	let status = await loadStatusFile(statusPath);
-	const currentDateString = customDate || getTodayString(config.dateFormat);
-	// console.log("currentDateString", currentDateString, "customDate", customDate);
-	var dateInfo = calculateCycleDateInfo(config, status, currentDateString, config.cycleDays, config.dateFormat);
-	// console.log("dateInfo", dateInfo);
-
-	var newBaseBranch = formatBranchName(config, dateInfo.current);
-	// console.log("what is the new branch?", newBaseBranch);
-	var proBranch = formatBranchName(config, "x1");
-	var preBranch = formatBranchName(config, "x2");
-
-	
-	if (!status.base.branch) status.base.branch = newBaseBranch;
-	if (!status.uat.branch) status.uat.branch = preBranch;
-	if (!status.pre.branch) status.pre.branch = preBranch;
-	if (!status.pro.branch) status.pro.branch = proBranch;
-	
-	status.lastCycleDate = dateInfo.current;
-	status.aheadCycleDate = dateInfo.next;
-	
-	var items = [
+	// True when a commit with the same change (patch id) as `commit` is on `ref`
+	async hasEquivalentCommit(commit, ref) {
+		try {
+			const cherry = await this.simpleGit.raw(['cherry', ref, commit, `${commit}^`]);
+			return cherry.trim().startsWith('-');
+		} catch (error) {
+			return false;
+		}
+	}
+	// Check out in `dir` (a new worktree) what `to` would be after syncing it with `from` the item's
+	// way, leaving both branches alone. Resolves with that commit, or with a null commit and the
+	// conflicting files when the sync does not go through
+	async createCandidate(dir, from, to, type) {
+		const head = await this.remoteBranchExists(to) ? `${this.config.remoteName}/${to}` : to;
+		await this.simpleGit.raw(['worktree', 'add', '--detach', dir, type === 'reset' ? from : head]);
+		const worktree = simpleGit(dir);
+		try {
+			if (type === 'rebase') {
+				await worktree.rebase([from]);
+			} else if (type !== 'reset') {
+				await worktree.merge([from, '--no-edit']);
+			}
+		} catch (error) {
+			const files = (await worktree.raw(['diff', '--name-only', '--diff-filter=U'])).split('\n').filter(file => file.trim());
+			return { commit: null, files };
+		}
+		return { commit: (await worktree.revparse(['HEAD'])).trim(), files: [] };
+	}
+	async removeWorktree(dir) {
+		try {
+			await this.simpleGit.raw(['worktree', 'remove', '--force', dir]);
+		} catch (error) {
+			logWarn(`Failed to remove worktree ${dir}: ${error.message}`);
+		}
+		await fs.rm(dir, { recursive: true, force: true });
+	}
+	async merge(branch, fromBranch, noFastForward = false, critical = true) {
+		const options = noFastForward ? ['--no-ff'] : [];
+		return this.execute(
+			async () => {
+				// console.log("checkout", branch);
+				await this.simpleGit.checkout(branch);
+				if (await this.remoteBranchExists(branch)) {
+					// console.log("pull", this.config.remoteName, branch);
+					await this.simpleGit.pull(this.config.remoteName, branch);
+				} else {
+					logWarn("remote branch not exists", branch);
+				}
+				// A developer resolved an earlier conflict on its conflict branch, take the resolution first
+				const resolvedBranch = await this.findResolvedConflictBranch(fromBranch, branch);
+				if (resolvedBranch) {
+					logInfo(`Merging resolved conflict branch ${resolvedBranch}`);
+					await this.mergeOrReport(branch, fromBranch, resolvedBranch, options);
+				}
+				await this.mergeOrReport(branch, fromBranch, fromBranch, options);
+				// const result = await this.simpleGit.push(this.config.remoteName, branch, []);
+				// this.evaluateGitResult(result);
+			},
+			`Merging (${fromBranch}) → (${branch}) ${noFastForward ? '(with merge commit)' : ''}`,
+			critical,
+			{ action: 'merge', from: fromBranch, to: branch }
+		);
+	}
+	// Merge `source` into the checked out `branch`; on conflicts report them, leave the branch
+	// untouched and throw an error carrying the report. With `since`, only the changes from `since`
+	// to `source` are merged (a three-way merge with `since` as the base), without committing
+	async mergeOrReport(branch, fromBranch, source, options, since = null) {
+		var result;
+		try {
+			// console.log("merge", [source, ...options]);
+			if (since) {
+				// merge-recursive does not always fail on conflicts, the unmerged paths tell
+				const mergeError = await this.simpleGit.raw(['merge-recursive', since, '--', 'HEAD', source]).then(() => null, error => error);
+				const unmerged = (await this.simpleGit.raw(['diff', '--name-only', '--diff-filter=U'])).trim();
+				if (mergeError && !unmerged) throw mergeError;
+				result = { failed: unmerged !== '' };
+			} else {
+				result = await this.simpleGit.merge([source, ...options]);
+			}
+		} catch (error) {
+			if (!error.git || !error.git.failed) throw error;
+			result = error.git;
+		}
+		if (!result.failed) {
+			this.evaluateGitResult(result);
+			return;
+		}
+		const conflict = await this.reportConflict(branch, fromBranch, source);
+		if (conflict.conflictBranch) {
+			await this.pushConflictBranch(branch, fromBranch, conflict.conflictBranch, conflict.commits.to);
+		} else {
+			// Abort the merge if possible
+			try {
+				await this.simpleGit.merge(['--abort']);
+				logWarn("Merge aborted.");
+			} catch (abortErr) {
+				logWarn("Merge abort failed, performing hard reset...");
+				await this.simpleGit.reset(['--hard']);
+				logWarn("Reset to last commit.");
+			}
+		}
+		const error = new Error(`Merge conflict: ${source} into ${branch} (${conflict.files.join(', ')})`);
+		error.conflict = conflict;
+		throw error;
+	}
+	conflictBranchName(fromBranch, branch) {
+		const safe = (name) => name.replace(/\//g, '-');
+		return `${this.config.conflictBranchPrefix}/${safe(fromBranch)}-into-${safe(branch)}`;
+	}
+	// Collect conflicting files, both commits and their merge base while the merge (or rebase) is still in progress
+	async reportConflict(branch, fromBranch, source, withConflictBranch = true) {
+		const ours = await this.resolveCommit('HEAD');
+		const theirs = await this.resolveCommit(source);
+		let mergeBase = null;
+		try {
+			mergeBase = (await this.simpleGit.raw(['merge-base', ours, theirs])).trim() || null;
+		} catch (error) {
+			// unrelated histories
+		}
+		const files = (await this.simpleGit.raw(['diff', '--name-only', '--diff-filter=U']))
+			.split('\n')
+			.filter(file => file.trim());
+		const conflict = {
+			time: new Date().toISOString(),
+			from: fromBranch,
+			to: branch,
+			source,
+			commits: { to: ours, from: theirs },
+			mergeBase,
+			files,
+			conflictBranch: withConflictBranch && this.config.conflictBranches && source === fromBranch ? this.conflictBranchName(fromBranch, branch) : null
+		};
+		this.conflicts.push(conflict);
+
+		logError(`Merge conflict: ${source} → ${branch}`);
+		logger.log(`  ${branch}: ${ours}`);
+		logger.log(`  ${source}: ${theirs}`);
+		logger.log(`  Merge base: ${mergeBase || 'none'}`);
+		logger.log(`  Conflicting files:`);
+		files.forEach(file => logger.log(`    - ${file}`));
+		if (conflict.conflictBranch) logger.log(`  Conflict branch: ${conflict.conflictBranch}`);
+
+		if (this.config.conflictReport) {
+			try {
+				await fs.writeFile(this.config.conflictReport, JSON.stringify({ conflicts: this.conflicts }, null, "\t"), 'utf8');
+				logInfo(`Conflict report written to ${this.config.conflictReport}`);
+			} catch (error) {
+				logWarn(`Failed to write conflict report: ${error.message}`);
+			}
+		}
+		return conflict;
+	}
+	// Commit the half-done merge (with conflict markers) on its own branch and push it for a developer to resolve
+	async pushConflictBranch(branch, fromBranch, conflictBranch, ours) {
+		// A conflict branch whose resolution is already merged into the target is left over from an
+		// earlier conflict and gets replaced, any other one is still waiting for its resolution
+		let replace = false;
+		if (await this.remoteBranchExists(conflictBranch)) {
+			const remoteRef = `${this.config.remoteName}/${conflictBranch}`;
+			await this.simpleGit.fetch(this.config.remoteName, `+refs/heads/${conflictBranch}:refs/remotes/${remoteRef}`);
+			if (!await this.isAncestor(remoteRef, ours)) {
+				logWarn(`Conflict branch ${conflictBranch} already exists, resolve it there`);
+				await this.simpleGit.merge(['--abort']);
+				return;
+			}
+			logInfo(`Conflict branch ${conflictBranch} is already merged into ${branch}, replacing it`);
+			replace = true;
+		}
+		try {
+			// Commit the merge with its conflict markers, move that commit to the conflict branch
+			// and put the target branch back where it was. Only the unmerged paths are staged,
+			// untracked files in the clone (status or journal files) must stay out of the commit
+			const unmerged = (await this.simpleGit.raw(['diff', '--name-only', '--diff-filter=U'])).split('\n').filter(Boolean);
+			if (unmerged.length > 0) await this.simpleGit.raw(['add', '-A', '--', ...unmerged]);
+			await this.simpleGit.commit(`CICD Conflict: merge ${fromBranch} into ${branch}`, ['--no-verify']);
+			await this.simpleGit.branch(['-f', conflictBranch, 'HEAD']);
+			await this.simpleGit.reset(['--hard', ours]);
+			await this.simpleGit.push(this.config.remoteName, conflictBranch, replace ? ['--force'] : []);
+			logWarn(`Pushed ${conflictBranch}: resolve the conflicts there and push, the next merge picks it up`);
+		} catch (error) {
+			logWarn(`Failed to push conflict branch ${conflictBranch}: ${error.message}`);
+			await this.simpleGit.reset(['--hard', ours]);
+		}
+	}
+	// A conflict branch counts as resolved once someone committed on top of the generated conflict commit
+	async findResolvedConflictBranch(fromBranch, branch) {
+		if (!this.config.conflictBranches) return null;
+		const conflictBranch = this.conflictBranchName(fromBranch, branch);
+		if (!await this.remoteBranchExists(conflictBranch)) return null;
+		const remoteRef = `${this.config.remoteName}/${conflictBranch}`;
+		await this.simpleGit.fetch(this.config.remoteName, `+refs/heads/${conflictBranch}:refs/remotes/${remoteRef}`);
+		const subject = (await this.simpleGit.raw(['log', '-1', '--format=%s', remoteRef])).trim();
+		if (subject.startsWith('CICD Conflict:')) {
+			logWarn(`Conflict branch ${conflictBranch} is not resolved yet`);
+			return null;
+		}
+		if (await this.isAncestor(remoteRef, 'HEAD')) return null;
+		return remoteRef;
+	}
+	// Non-merge commits reachable from `to` but not from `from`, oldest first
+	async listCommits(from, to) {
+		const log = await this.simpleGit.log(['--no-merges', '--reverse', `${from}..${to}`]);
+		return log.all.map(({ hash, date, message, body, author_name, author_email }) => ({ hash, date, message, body: body || '', author_name, author_email }));
+	}
+	// True when every commit of `ancestor` is already contained in `ref`
+	async isAncestor(ancestor, ref) {
+		const count = await this.simpleGit.raw(['rev-list', '--count', `${ref}..${ancestor}`]);
+		return parseInt(count, 10) === 0;
+	}
+	async evaluateGitResult(result) {
+
+		if (!result) return;
+		if (
+			result.pushed &&
+			result.pushed.length > 0 &&
+			result.pushed.every(p => p.alreadyUpdated)
+		) {
+			logger.log("Everything up-to-date");
+		} else if (result.summary) {
+			if (result.summary.changes > 0) {
+				// console.log(`changed ${result.summary.changes}`);
+			} else if (result.summary.changes == 0) {
+				logger.log("Everything up-to-date");
+			}
+		} else {
+			// console.log("result", result);
+
+		}
+	}
+	async push(branch, force = false, critical = true) {
+		const options = force ? ['--force-with-lease'] : [];
+		return this.execute(
+			async () => {
+				const result = await this.simpleGit.push(this.config.remoteName, branch, options);
+				this.evaluateGitResult(result);
+			},
+			`Pushing ${branch} to ${this.config.remoteName} ${force ? '(force)' : ''}`,
+			critical,
+			{ action: force ? 'force-push' : 'push', from: branch, to: `${this.config.remoteName}/${branch}` }
+		);
+	}
+
+	// Point a promotion branch on the remote at the remote head of `source`
+	async pushPromotionBranch(source, promotionBranch, critical = true) {
+		return this.execute(
+			async () => {
+				const result = await this.simpleGit.push(this.config.remoteName, `refs/remotes/${this.config.remoteName}/${source}:refs/heads/${promotionBranch}`, ['--force']);
+				this.evaluateGitResult(result);
+			},
+			`Pushing ${source} as ${promotionBranch} to ${this.config.remoteName}`,
+			critical,
+			{ action: 'push', from: source, to: `${this.config.remoteName}/${promotionBranch}` }
+		);
+	}
+
+	async branchesDiverged(branch1, branch2) {
+		if (this.dryRun) return true;
+
+		try {
+			await this.simpleGit.raw(['merge-base', '--is-ancestor', branch1, branch2]);
+			return false;
+		} catch (error) {
+			if (error.code === 1) return true;
+			exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, `Failed to check branch divergence: ${error.message}`);
+		}
+	}
+
+	// Delete a branch on the remote and, when there is one, the local branch
+	deleteBranch(branch, critical = false) {
+		return this.execute(
+			async () => {
+				if (await this.localBranchesExists(branch)) await this.simpleGit.deleteLocalBranch(branch, true);
+				await this.simpleGit.push(this.config.remoteName, branch, ['--delete']);
+			},
+			`Deleting branch ${branch} (local and remote)`,
+			critical,
+			{ action: 'delete', from: null, to: branch }
+		);
+	}
+}
+
+// Records the progress of a run in status.checkpoint and writes it to the status file after
+// every completed phase, so an interrupted run can be resumed with `run --resume`
+class RunCheckpoint {
+	constructor(gitOp, statusPath, status, dryRun = false) {
+		this.gitOp = gitOp;
+		this.statusPath = statusPath;
+		this.status = status;
+		this.dryRun = dryRun;
+	}
+
+	get pending() {
+		return this.status.checkpoint || null;
+	}
+
+	async start(info) {
+		if (this.dryRun) return;
+		this.status.checkpoint = {
+			...info,
+			startedAt: new Date().getTime(),
+			phases: [],
+			heads: {}
+		};
+		await saveStatusFile(this.statusPath, this.status);
+	}
+
+	isDone(phase) {
+		return !this.dryRun && !!this.pending && this.pending.phases.some(item => item.name === phase);
+	}
+
+	// Mark a phase as done, remembering the remote head of every branch it pushed
+	async complete(phase, branches = []) {
+		if (this.dryRun || !this.pending) return;
+		for (const branch of branches) {
+			this.pending.heads[branch] = await this.gitOp.resolveCommit(`${this.gitOp.config.remoteName}/${branch}`);
+		}
+		this.pending.phases.push({ name: phase, completedAt: new Date().getTime() });
+		await saveStatusFile(this.statusPath, this.status);
+	}
+
+	// Refuse to resume when a branch pushed by a completed phase has moved since
+	async verify() {
+		await this.gitOp.fetch();
+		const moved = [];
+		for (const [branch, hash] of Object.entries(this.pending.heads)) {
+			const current = await this.gitOp.resolveCommit(`${this.gitOp.config.remoteName}/${branch}`);
+			if (current !== hash) moved.push(`${branch} (checkpoint ${(hash || 'none').substring(0, 8)}, now ${(current || 'missing').substring(0, 8)})`);
+		}
+		if (moved.length > 0) {
+			exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, `Repository no longer matches the checkpoint, refusing to resume: ${moved.join(', ')}`);
+		}
+		logInfo(`Resuming run from ${this.pending.date}, ${this.pending.phases.length} phase(s) already done`);
+	}
+
+	finish() {
+		delete this.status.checkpoint;
+	}
+}
+
+// Repository-scoped lock held while a mutating command runs: a local lock file (PID, host,
+// start time) and optionally a ref on the remote, so two machines sharing it cannot both promote
+class RepositoryLock {
+	constructor(config, gitDir, dryRun = false) {
+		this.config = config;
+		this.gitDir = gitDir || process.cwd();
+		// Remote locks are pushed, which a dry run must not do
+		this.useRemote = !!config.remoteLock && !dryRun;
+		const dotGit = path.join(this.gitDir, '.git');
+		this.lockPath = config.lockFile
+			? path.resolve(config.lockFile)
+			: path.join(existsSync(dotGit) ? dotGit : this.gitDir, 'cicd-branch-manager.lock');
+		this.info = null;
+		this.remoteCommit = null;
+	}
+
+	describe(info) {
+		return `PID ${info.pid} on ${info.host} since ${new Date(info.startedAt).toISOString()} (${info.command})`;
+	}
+
+	isStale(info) {
+		const ageMinutes = (new Date().getTime() - info.startedAt) / 60000;
+		if (ageMinutes > this.config.lockTimeoutMinutes) return true;
+		if (info.host !== os.hostname()) return false;
+		try {
+			process.kill(info.pid, 0);
+			return false;
+		} catch (error) {
+			return error.code === 'ESRCH';
+		}
+	}
+
+	async acquire(command, forceUnlock = false) {
+		this.info = { pid: process.pid, host: os.hostname(), startedAt: new Date().getTime(), command };
+		if (forceUnlock) this.forceUnlock();
+		await this.acquireLocal();
+		// Released when the command is done, and on every exit path of the process
+		this.onExit = () => this.release();
+		process.on('exit', this.onExit);
+		if (!this.useRemote) return;
+		// Without the remote lock the local one must go too: in library mode the process lives on
+		try {
+			this.acquireRemote();
+		} catch (error) {
+			this.release();
+			throw error;
+		}
+	}
+
+	async acquireLocal() {
+		try {
+			await fs.writeFile(this.lockPath, JSON.stringify(this.info, null, "\t"), { encoding: 'utf8', flag: 'wx' });
+			return;
+		} catch (error) {
+			if (error.code !== 'EEXIST') exitWithError(ERROR_CODES.FILE_NOT_FOUND, `Failed to create lock file ${this.lockPath}: ${error.message}`);
+		}
+		let holder = null;
+		try {
+			holder = JSON.parse(await fs.readFile(this.lockPath, 'utf8'));
+		} catch (error) {
+			// unreadable or half-written lock, treat it as stale
+		}
+		if (holder && !this.isStale(holder)) {
+			exitWithError(ERROR_CODES.LOCKED, `Repository is locked by ${this.describe(holder)} (${this.lockPath}), use --force-unlock if that run is gone`);
+		}
+		logWarn(`Removing stale lock ${holder ? this.describe(holder) : this.lockPath}`);
+		await fs.unlink(this.lockPath);
+		return this.acquireLocal();
+	}
+
+	git(args, env = {}) {
+		return spawnSync('git', args, { cwd: this.gitDir, encoding: 'utf8', input: '', env: { ...process.env, ...env } });
+	}
+
+	readRemoteLock() {
+		const listed = this.git(['ls-remote', this.config.remoteName, this.config.remoteLockRef]);
+		const hash = (listed.stdout || '').split(/\s+/)[0];
+		if (!hash) return null;
+		this.git(['fetch', '--quiet', this.config.remoteName, this.config.remoteLockRef]);
+		const message = this.git(['log', '-1', '--format=%B', hash]).stdout;
+		try {
+			return { hash, info: JSON.parse(message) };
+		} catch (error) {
+			return { hash, info: null };
+		}
+	}
+
+	// The push only succeeds if the lock ref does not exist on the remote yet
+	acquireRemote(retry = true) {
+		const emptyTree = this.git(['mktree']).stdout.trim();
+		const identity = { GIT_AUTHOR_NAME: 'cicd-branch-manager', GIT_AUTHOR_EMAIL: 'cicd@localhost', GIT_COMMITTER_NAME: 'cicd-branch-manager', GIT_COMMITTER_EMAIL: 'cicd@localhost' };
+		const commit = this.git(['commit-tree', emptyTree, '-m', JSON.stringify(this.info)], identity).stdout.trim();
+		const ref = this.config.remoteLockRef;
+		const pushed = this.git(['push', '--quiet', `--force-with-lease=${ref}:`, this.config.remoteName, `${commit}:${ref}`]);
+		if (pushed.status === 0) {
+			this.remoteCommit = commit;
+			return;
+		}
+		const holder = this.readRemoteLock();
+		if (retry && holder && holder.info && this.isStale(holder.info)) {
+			logWarn(`Removing stale remote lock ${this.describe(holder.info)}`);
+			this.deleteRemoteLock(holder.hash);
+			return this.acquireRemote(false);
+		}
+		const who = holder && holder.info ? this.describe(holder.info) : `another run (${ref})`;
+		exitWithError(ERROR_CODES.LOCKED, `Remote ${this.config.remoteName} is locked by ${who}, use --force-unlock if that run is gone`);
+	}
+
+	deleteRemoteLock(expectedHash) {
+		const ref = this.config.remoteLockRef;
+		const lease = expectedHash ? `--force-with-lease=${ref}:${expectedHash}` : '--force';
+		return this.git(['push', '--quiet', lease, this.config.remoteName, `:${ref}`]);
+	}
+
+	forceUnlock() {
+		if (existsSync(this.lockPath)) {
+			logWarn(`Force unlocking ${this.lockPath}`);
+			unlinkSync(this.lockPath);
+		}
+		if (this.useRemote && this.readRemoteLock()) {
+			logWarn(`Force unlocking ${this.config.remoteName} ${this.config.remoteLockRef}`);
+			this.deleteRemoteLock(null);
+		}
+	}
+
+	// Synchronous so it can run from the process exit handler
+	release() {
+		if (!this.info) return;
+		if (this.remoteCommit) {
+			this.deleteRemoteLock(this.remoteCommit);
+			this.remoteCommit = null;
+		}
+		try {
+			const holder = JSON.parse(readFileSync(this.lockPath, 'utf8'));
+			if (holder.pid === this.info.pid && holder.host === this.info.host) unlinkSync(this.lockPath);
+		} catch (error) {
+			// already gone
+		}
+		this.info = null;
+		if (this.onExit) process.removeListener('exit', this.onExit);
+	}
+}
+
+function requestJson(method, url, headers, body = null, timeoutMs = 0) {
+	return new Promise((resolve, reject) => {
+		const payload = body ? JSON.stringify(body) : null;
+		const client = url.startsWith('https:') ? https : http;
+		const request = client.request(url, {
+			method,
+			headers: {
+				'Accept': 'application/json',
+				'User-Agent': 'cicd-branch-manager',
+				...(payload ? { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) } : {}),
+				...headers
+			}
+		}, (response) => {
+			let data = '';
+			response.setEncoding('utf8');
+			response.on('data', chunk => data += chunk);
+			response.on('end', () => {
+				let json = null;
+				try {
+					json = data ? JSON.parse(data) : null;
+				} catch (error) {
+					// keep the raw text for the error message
+				}
+				if (response.statusCode >= 400) {
+					reject(new Error(`${method} ${url} failed with ${response.statusCode}: ${json && json.message ? JSON.stringify(json.message) : data}`));
+				} else {
+					resolve(json);
+				}
+			});
+		});
+		request.on('error', reject);
+		if (timeoutMs) request.setTimeout(timeoutMs, () => request.destroy(new Error(`timed out after ${timeoutMs}ms`)));
+		if (payload) request.write(payload);
+		request.end();
+	});
+}
+
+// Endpoint of the pull requests (GitHub) or merge requests (GitLab) of the configured repository, with its headers
+function pullRequestApi(config) {
+	const settings = config.pullRequests || {};
+	const provider = settings.provider || 'github';
+	if (!settings.repository) {
+		throw new Error('pullRequests.repository is not configured');
+	}
+	const tokenEnv = settings.tokenEnv || (provider === 'gitlab' ? 'GITLAB_TOKEN' : 'GITHUB_TOKEN');
+	const token = process.env[tokenEnv];
+
+	if (provider === 'github') {
+		const apiUrl = (settings.apiUrl || 'https://api.github.com').replace(/\/$/, '');
+		const headers = {
+			'Accept': 'application/vnd.github+json',
+			...(token ? { 'Authorization': `Bearer ${token}` } : {})
+		};
+		return { provider, owner: settings.repository.split('/')[0], url: `${apiUrl}/repos/${settings.repository}/pulls`, headers };
+	}
+	if (provider === 'gitlab') {
+		const apiUrl = (settings.apiUrl || 'https://gitlab.com/api/v4').replace(/\/$/, '');
+		const headers = token ? { 'PRIVATE-TOKEN': token } : {};
+		return { provider, url: `${apiUrl}/projects/${encodeURIComponent(settings.repository)}/merge_requests`, headers };
+	}
+	throw new Error(`Unknown pull request provider "${provider}" (expected github or gitlab)`);
+}
+
+// Open a pull request (GitHub) or merge request (GitLab) from head into base, or update the open one
+async function createOrUpdatePullRequest(config, { head, base, title, body }) {
+	const api = pullRequestApi(config);
+	if (api.provider === 'github') {
+		const open = await requestJson('GET', `${api.url}?state=open&head=${encodeURIComponent(`${api.owner}:${head}`)}&base=${encodeURIComponent(base)}`, api.headers);
+		const pull = open && open.length > 0
+			? await requestJson('PATCH', `${api.url}/${open[0].number}`, api.headers, { title, body })
+			: await requestJson('POST', api.url, api.headers, { title, body, head, base });
+		return { number: pull.number, state: pull.state, url: pull.html_url, updated: !!(open && open.length > 0) };
+	}
+	const open = await requestJson('GET', `${api.url}?state=opened&source_branch=${encodeURIComponent(head)}&target_branch=${encodeURIComponent(base)}`, api.headers);
+	const request = open && open.length > 0
+		? await requestJson('PUT', `${api.url}/${open[0].iid}`, api.headers, { title, description: body })
+		: await requestJson('POST', api.url, api.headers, { title, description: body, source_branch: head, target_branch: base });
+	return { number: request.iid, state: request.state, url: request.web_url, updated: !!(open && open.length > 0) };
+}
+
+// Current state of a recorded pull request as the provider reports it. GitHub only knows open and
+// closed, a closed pull request that was merged is reported as merged
+async function fetchPullRequestState(config, number, timeoutMs = 0) {
+	const api = pullRequestApi(config);
+	const pull = await requestJson('GET', `${api.url}/${number}`, api.headers, null, timeoutMs);
+	if (api.provider === 'github' && pull.merged_at) return 'merged';
+	return pull.state;
+}
+
+// Promote `source` into an environment through a pull request instead of a direct merge and push
+async function promoteByPullRequest(config, gitOp, env, source, dryRun, status) {
+	const promotionBranch = `${config.promotionBranchPrefix}/${env.name}`;
+	const pushResult = await gitOp.pushPromotionBranch(source, promotionBranch, false);
+	if (!pushResult.success) return false;
+
+	const title = `Promote ${source} to ${env.name} (${env.branch})`;
+	if (dryRun) {
+		logInfo(`[DRY RUN] Would open or update pull request: ${title}`);
+		return true;
+	}
+	try {
+		const pull = await createOrUpdatePullRequest(config, {
+			head: promotionBranch,
+			base: env.branch,
+			title,
+			body: `Automated promotion of \`${source}\` into \`${env.branch}\` by cicd-branch-manager.`
+		});
+		status[env.name].pullRequest = {
+			number: pull.number,
+			state: pull.state,
+			url: pull.url,
+			head: promotionBranch,
+			base: env.branch,
+			source,
+			time: new Date().getTime()
+		};
+		logSuccess(`${pull.updated ? 'Updated' : 'Opened'} pull request #${pull.number} (${pull.state}) ${pull.url || ''}`);
+		return true;
+	} catch (error) {
+		logError(`Failed to open pull request for ${env.name}: ${error.message}`);
+		return false;
+	}
+}
+
+async function emptyCommit(gitOp, config, gitDir, dryRun, statusPath, customDate = null) {
+	const baseBranch = getEnvironments(config)[0].branch;
+	await gitOp.checkout(baseBranch);
+	await gitOp.emptyCommit("emptyCommit");
+	await gitOp.push(baseBranch);
+}
+
+// Initialize required date-based branches with strict error handling
+async function initializeBranches(gitOp, config, gitDir, dryRun, statusPath, customDate = null) {
+	const environments = getEnvironments(config);
+	let status = await loadStatusFile(statusPath, config);
+	const currentDateString = customDate || getTodayString(config.dateFormat);
+	// console.log("currentDateString", currentDateString, "customDate", customDate);
+	var dateInfo = calculateCycleDateInfo(config, status, currentDateString, config.cycleDays, config.dateFormat);
+	// console.log("dateInfo", dateInfo);
+	reportCycleDates(config, status, currentDateString);
+
+	var newBaseBranch = formatBranchName(config, dateInfo.current);
+	// console.log("what is the new branch?", newBaseBranch);
+
+	// Placeholder targets (x1 for the last stage, x2 for the one before, ...) until real cycles rotate in;
+	// stages following the current target of another stage share its placeholder
+	var placeholders = {};
+	var placeholderIndex = 1;
+	[...environments].reverse().forEach(env => {
+		if (env.target.startsWith('previous:')) placeholders[env.name] = formatBranchName(config, `x${placeholderIndex++}`);
+	});
+	environments.forEach(env => {
+		const [kind, ref] = env.target.split(':');
+		if (kind === 'cycle') placeholders[env.name] = newBaseBranch;
+		if (kind === 'current') placeholders[env.name] = placeholders[ref];
+	});
+
+	environments.forEach(env => {
+		if (!status[env.name].branch) status[env.name].branch = placeholders[env.name];
+	});
+	
+	status.lastCycleDate = dateInfo.current;
+	status.aheadCycleDate = dateInfo.next;
+	
+	// The first stage feeds its cycle branch, every other stage is fed by its target
+	const baseTarget = status[environments[0].name].branch;
+	var items = environments.map((env, index) => {
+		if (index === 0) {
+			return { key: env.name, prev: null, current: env.branch, next: status[env.name].branch };
+		}
+		return {
+			key: env.name,
+			prev: index === 1 ? baseTarget : environments[index - 1].branch,
+			current: status[env.name].branch,
+			next: env.branch
+		};
+	});
+	
+	logger.log(`=== Initializing Required Branches ===`);
+	logger.log(`Using date: ${currentDateString}`);
+	logger.log(`Git directory: ${gitDir || process.cwd()}`);
+	
+	environments.forEach(env => {
+		logger.log(`${env.name}(${env.branch}) : ${status[env.name].branch}`);
+	});
+	
+	for (const item of items) {
+		var prevExists = item.prev ? await gitOp.branchExists(item.prev) : false;
+		var currentExists = await gitOp.branchExists(item.current);
+		var nextExists = await gitOp.branchExists(item.next);
+		// console.log(prevExists, currentExists, nextExists);
+		if(!prevExists && !currentExists && !nextExists)
+			exitWithError(ERROR_CODES.MISSING_BRANCHES, `Source branch ${item.prev ? item.prev  : item.current} does not exist`);
+		var toDoList = [];
+
+		if(prevExists && !currentExists && !nextExists)
 		{
-			key:"base",
-			prev:null,
-			current: config.baseBranch,
-			next: status.base.branch
-		},
+			toDoList.push({
+				key:item.key,
+				from:item.prev,
+				to:item.current
+			});
+			toDoList.push({
+				key:item.key,
+				from:item.current,
+				to:item.next
+			});
+		} 
+		if(currentExists)
+		{
+			toDoList.push({
+				key:item.key,
+				from:item.current,
+				to:item.next
+			});
+		}
+		if(nextExists)
 		{
+			toDoList.push({
+				key:item.key,
+				from:item.next,
+				to:item.current
+			});
+		}
+
+		for (const item of toDoList) {
+			// await git.mergeBranches(item.from, item.to, true);
+			if (await gitOp.branchExists(item.to)) {
+				const mergeResult = await gitOp.merge(item.to, item.from, false, true);
+				// console.log(mergeResult);
+				// if (mergeResult && mergeResult.success) {
+			} else {
+				const createResult = await gitOp.createBranch(`CICD Initial commit to ${item.to} key:${item.key}`, item.from, item.to);
+				
+				if (createResult.success && !dryRun) {
+					// Get latest commit info for the new branch
+					await gitOp.checkout(item.from);
+					await gitOp.emptyCommit("EmptyCommit");
+					await gitOp.checkout(item.from);
+					await gitOp.push(item.to);
+					
+				} else if (dryRun) {
+					logInfo(`[DRY RUN] Would create ${item.to} from ${item.from}`);
+				} else {
+					exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, `Failed to create ${item.to}`);
+				}
+			}
+				
+
+		}
+		
+	}
+
+	
+	
+	for (const item of items) {
+		// console.log("__checkout ", item.current, "________");
+		await gitOp.checkout(item.current);
+		// console.log("get getLatestCommitInfo", item.current);
+		const commitInfo = await gitOp.getLatestCommitInfo(item.current);
+		if (commitInfo) {
+			// console.log("key", item.current, item.key, commitInfo.hash);
+			// Update status with commit info
+			status[item.key].commit = commitInfo;
+		}
+	}
+
+	if (statusPath) await saveStatusFile(statusPath, status);
+
+	logger.log("");
+	logOK('=== Initialization Complete ===');
+}
+
+// Verify all required branches exist or exit
+async function verifyBranches(gitOp, config, statusPath, gitDir, customDate = null) {
+	const environments = getEnvironments(config);
+	let status = await loadStatusFile(statusPath, config) || {};
+	const currentDate = customDate || getTodayString(config.dateFormat);
+
+	logger.log(`=== CI/CD Branch Verification ===`);
+	logger.log(`Using date: ${currentDate}`);
+	logger.log(`Repository: ${gitDir || process.cwd()}`);
+
+	reportCycleDates(config, status, currentDate);
+	var targets = calculateBranchDates(config, status, currentDate, config.cycleDays, config.branchPrefix, config.dateFormat);
+	setJsonReport('targets', targets);
+	const requiredBranches = [];
+	environments.forEach((env, index) => {
+		// the first stage feeds its target, the others are fed by theirs
+		const pair = index === 0 ? [env.branch, targets[env.name]] : [targets[env.name], env.branch];
+		pair.forEach(branch => {
+			if (branch && !requiredBranches.includes(branch)) requiredBranches.push(branch);
+		});
+	});
+
+	logger.log('\nChecking required branches:');
+	let missing = false;
+
+	for (const branch of requiredBranches) {
+		const exists = await gitOp.branchExists(branch);
+		if (exists) {
+			logValid(`${branch}`);
+		} else {
+			logError(`${branch} (missing)`);
+			missing = true;
+		}
+	}
+
+	// Show latest commit info if available
+	logger.log('\n=== Latest Commit Information ===');
+	const branchTypes = environments.map(env => env.name);
+	for (const type of branchTypes) {
+		const branchName = getBranchName(status[type]);
+		const commitInfo = extractBranchLatestCommit(status[type]);
+		if (commitInfo) {
+			logger.log(`${type.toUpperCase()}: ${branchName}`);
+			logger.log(`  Hash: ${commitInfo.hash}`);
+			logger.log(`  Date: ${commitInfo.date}`);
+			logger.log(`  Message: ${commitInfo.message}`);
+			logger.log(`  Author: ${commitInfo.author_name} <${commitInfo.author_email}>`);
+			logger.log('');
+		}
+	}
+
+	logger.log('\n=== Verification Result ===');
+	if (missing) {
+		exitWithError(ERROR_CODES.MISSING_BRANCHES, 'Missing required branches - fix before running workflow');
+	} else {
+		logger.log('✅  All required branches exist');
+	}
+}
+
+function formatBranchName(config, branch) {
+	return config.branchPrefix ? `${config.branchPrefix}/${branch}` : branch;
+}
+function sameCommitInfo(commitInfo1, commitInfo2)
+{
+	if (!commitInfo1 || !commitInfo2) {
+		return false;
+	}
+	
+	if (commitInfo1.hash === commitInfo2.hash) return true;
+	return false;
+}
+// Build the merge items of mergeBranches from the status: base into the ahead and current cycle
+// branches, and every target into its environment branch
+async function planMerges(config, gitOp, status) {
+	const environments = getEnvironments(config);
+	const baseEnv = environments[0];
+	const baseTarget = getBranchName(status[baseEnv.name]);
+
+	var items = [];
 			
-			key:"uat",
-			prev:status.base.branch,
-			current: status.uat.branch,
-			next: config.uatBranch
+	if (status.aheadCycleDate) {
+		
+		var branch = formatBranchName(config, status.aheadCycleDate);
+		
+		if (await gitOp.remoteBranchExists(branch)) {
 			
-		},
+			if(!await gitOp.localBranchesExists(branch))
+			{
+				await gitOp.checkout(branch);
+			}
+
+			items.push(
+				{
+					...syncItemType(baseEnv.syncStrategy),
+					name: `merge current ${baseEnv.name}(${baseTarget}) ➔ ahead (${branch})`,
+					key: baseEnv.name,
+					ref: baseEnv.branch,
+					commit: extractBranchLatestCommit(status[baseEnv.name]),
+					from: baseEnv.branch, // base
+					to: branch // date
+				},
+			);
+		}
+	}
+	environments.forEach((env, index) => {
+		const target = getBranchName(status[env.name]);
+		if (index === 0) {
+			items.push({
+				...syncItemType(env.syncStrategy),
+				name: `merge ${env.name}(${env.branch}) → ${env.name} target (${target})`,
+				key: env.name,
+				branchName: target,
+				commit: status[env.name].commit,
+				from: env.branch, // base
+				to: target // date
+			});
+		} else {
+			items.push({
+				...(env.promotionMode === 'pr' ? { type: "pr", noFastForward: false } : syncItemType(env.syncStrategy)),
+				name: `merge ${env.name} source(${target}) → ${env.name}(${env.branch})`,
+				env,
+				key: env.name,
+				branchName: target,
+				commit: status[env.name].commit,
+				from: target, // date
+				to: env.branch // environment
+			});
+		}
+	});
+	return items;
+}
+
+// `plannedItems` (from a plan file) replaces the items built from the status
+async function mergeBranches(config, gitOp, currentDate, dryRun, status, checkpoint = null, plannedItems = null) {
+	await gitOp.fetch();
+	logger.log("\n=== Merge or Rebase Branches ===");
+	logInfo(`${currentDate} Merge or Rebase Branches`);
+
+	const baseEnv = getEnvironments(config)[0];
+	// await git.checkout(config.baseBranch);
+	await gitOp.pull(baseEnv.branch);
+
+	const items = plannedItems || await planMerges(config, gitOp, status);
+	var hasError = false;
+	var promoted = [];
+	// No promotions into frozen environments during a code freeze
+	const freeze = findFreeze(resolveCalendar(config), parse(currentDate, config.dateFormat, new Date()));
+	for (const item of items) {
+		const { name, from, to, commit, branchName } = item;
+		const phase = `merge:${item.key}:${to}`;
+		logLine(item.name);
+		if (checkpoint && checkpoint.isDone(phase)) {
+			logInfo(`⏩ already done in the interrupted run ⏩`);
+			continue;
+		}
+		if (freeze && item.env && freeze.environments.includes(item.key)) {
+			logInfo(`❄️ ${item.key} is frozen (${freeze.name}, until ${format(freeze.to, config.dateFormat)}) ❄️`);
+			continue;
+		}
+		if (item.type != "pr") {
+			// var latest = getLatestCommitInfo(item.latest);
+			const commitInfo = await gitOp.getLatestCommitInfo(item.from);
+			// console.log(name);
+			if(sameCommitInfo(commitInfo, item.commit)) {
+				logInfo(`⏩ ${from} has not change ⏩`);
+			} else if (!await passesGates(config, gitOp, item, currentDate, dryRun)) {
+				continue;
+			} else {
+				const syncResult = await syncBranch(gitOp, item, false);
+				if (!syncResult.success) {
+					hasError = true;
+					continue;
+				}
+				const commitInfo = await gitOp.getLatestCommitInfo(from);
+				if (commitInfo) {
+					status[item.key].commit = commitInfo;//  = updateBranchStatus(status[key], branchName, commitInfo);
+				}
+				if (item.env) promoted.push(item.key);
+			}
+			if (checkpoint) await checkpoint.complete(phase, [to]);
+		} else {
+			const commitInfo = await gitOp.getLatestCommitInfo(from);
+			if (sameCommitInfo(commitInfo, item.commit)) {
+				logInfo(`⏩ ${from} has not change ⏩`);
+			} else if (!await passesGates(config, gitOp, item, currentDate, dryRun)) {
+				continue;
+			} else if (await promoteByPullRequest(config, gitOp, item.env, from, dryRun, status)) {
+				if (commitInfo) {
+					status[item.key].commit = commitInfo;
+				}
+			} else {
+				hasError = true;
+				continue;
+			}
+			if (checkpoint) await checkpoint.complete(phase, [`${config.promotionBranchPrefix}/${item.env.name}`]);
+		}
+	}
+	logLine();
+	await tagReleases(config, gitOp, status, promoted, { date: currentDate, kind: 'merge', dryRun });
+	if (hasError) {
+		await flushNotifications(gitOp.notifier);
+		exitWithError(ERROR_CODES.MERGE_FAILED, 'Merge or Rebase Failed');
+	}
+
+}
+
+function logBranchInfo(config, status, branches) {
+	const { newBaseBranch, targets } = branches;
+	logger.log(`=== Cycle Information ===`);
+	// console.log("branches", branches);
+	getEnvironments(config).forEach(env => {
+		logger.log(`${env.name}: switch target from (${getBranchName(status[env.name])}) to (${targets[env.name]})`);
+	});
+}
+
+// Work out the rotation of createBranches: the new cycle branches and the items promoting them
+async function planRotation(config, gitOp, currentDateString, status) {
+	const environments = getEnvironments(config);
+	const baseEnv = environments[0];
+	const branches = updateNextCycleBranches(config, status, currentDateString, config.cycleDays, config.branchPrefix, config.dateFormat);
+	// console.log("branches", branches);
+	
+	logBranchInfo(config, status, branches);
+	const { newBaseBranch, targets } = branches;
+
+	logger.log('\n=== Verifying Required Branches ===');
+	const requiredBranches = [
+		...environments.map(env => env.branch),
+		...environments.slice(1).map(env => targets[env.name])
+	];
+
+	for (const branch of requiredBranches) {
+		if (!await gitOp.branchExists(branch)) {
+			exitWithError(ERROR_CODES.MISSING_BRANCHES, `Required branch ${branch} does not exist`);
+		}
+	}
+	logger.log('✅  All required branches exist');
+
+	var aheadBranchExists = await gitOp.remoteBranchExists(newBaseBranch);;
+	
+	// rebase or merege, reset, delete, git flow
+	var items = [
 		{
-			key:"pre",
-			prev:status.base.branch,
-			current: status.pre.branch,
-			next:config.preBranch
-			
+			...(aheadBranchExists ? syncItemType(baseEnv.syncStrategy) : { type: "create", noFastForward: false }),
+			name:`Merge Ahead ${baseEnv.name} to Branch`,
+			from:getBranchName(status[baseEnv.name]),
+			to:newBaseBranch
 		},
+		...environments.slice(1).map(env => ({
+			...(env.promotionMode === 'pr' ? { type: "pr", noFastForward: false } : syncItemType(env.syncStrategy)),
+			name:`Updating ${env.name.toUpperCase()} Branch`,
+			env,
+			from:targets[env.name],
+			to:env.branch
+		}))
+	];
+	return { branches, items };
+}
+
+// Bring item.to up to date with item.from with the strategy of the item (its type) and push it.
+// Rebase and reset rewrite the branch, so they push with --force-with-lease
+async function syncBranch(gitOp, item, critical) {
+	let result;
+	if (item.type == "rebase") {
+		result = await gitOp.rebase(item.to, item.from, critical);
+	} else if (item.type == "squash") {
+		result = await gitOp.squash(item.to, item.from, critical);
+	} else if (item.type == "ff-only") {
+		result = await gitOp.fastForward(item.to, item.from, critical);
+	} else if (item.type == "reset") {
+		result = await gitOp.reset(item.from, item.to, critical);
+	} else {
+		result = await gitOp.merge(item.to, item.from, item.noFastForward, critical);
+	}
+	if (!result.success) return result;
+	const rewritten = item.type == "rebase" || item.type == "reset" || !!(result.result && result.result.rewritten);
+	return gitOp.push(item.to, rewritten, critical);
+}
+
+// Run one gate command through the shell in `cwd`, killing it (and what it started) after timeoutMs.
+// Resolves with its exit code, whether it timed out and the tail of its output
+function runGateCommand(command, cwd, env, timeoutMs) {
+	return new Promise(resolve => {
+		const started = Date.now();
+		const child = spawn(command, { cwd, env, shell: true, detached: true, stdio: ['ignore', 'pipe', 'pipe'] });
+		let output = '';
+		let timedOut = false;
+		const collect = data => output = (output + data).slice(-4000);
+		child.stdout.on('data', collect);
+		child.stderr.on('data', collect);
+		const timer = setTimeout(() => {
+			timedOut = true;
+			try {
+				process.kill(-child.pid, 'SIGKILL');
+			} catch (error) {
+				child.kill('SIGKILL');
+			}
+		}, timeoutMs);
+		child.on('error', error => {
+			clearTimeout(timer);
+			resolve({ exitCode: null, timedOut, output: error.message, durationMs: Date.now() - started });
+		});
+		child.on('close', code => {
+			clearTimeout(timer);
+			resolve({ exitCode: code, timedOut, output, durationMs: Date.now() - started });
+		});
+	});
+}
+
+// Run the gates of item.env, in order, on what item.to would be after the sync, in a throwaway
+// worktree. Resolves with null when all pass, else with the first failure
+async function runGates(config, gitOp, item, currentDate) {
+	const env = item.env;
+	const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'cicd-gate-'));
+	try {
+		const { commit: candidate, files } = await gitOp.createCandidate(dir, item.from, item.to, item.type);
+		if (!candidate) {
+			// Held back like a failed gate: promoting it would fail on the same conflict
+			logWarn(`${item.from} does not sync cleanly into ${item.to}, gates not run`);
+			addJsonReport('gates', { environment: env.name, gate: 'candidate', from: item.from, to: item.to, candidate: null, result: 'conflict', exitCode: null, durationMs: 0 });
+			return {
+				environment: env.name,
+				gate: 'candidate',
+				from: item.from,
+				to: item.to,
+				conflict: true,
+				reason: files.length > 0 ? `conflicts in ${files.join(', ')}` : `does not sync into ${item.to}`
+			};
+		}
+		const variables = {
+			...process.env,
+			CICD_ENVIRONMENT: env.name,
+			CICD_DATE: currentDate,
+			CICD_FROM_BRANCH: item.from,
+			CICD_FROM_COMMIT: await gitOp.resolveCommit(item.from) || '',
+			CICD_TO_BRANCH: item.to,
+			CICD_TO_COMMIT: await gitOp.resolveCommit(`${config.remoteName}/${item.to}`) || '',
+			CICD_CANDIDATE_COMMIT: candidate
+		};
+		for (const [index, gate] of env.gates.entries()) {
+			const name = gate.name || `gate ${index + 1}`;
+			const timeoutSeconds = gate.timeoutSeconds || config.gateTimeoutSeconds;
+			logInfo(`🚦 ${env.name}: ${name} (${gate.command})`);
+			const result = await runGateCommand(gate.command, dir, { ...variables, ...(gate.env || {}), CICD_GATE: name }, timeoutSeconds * 1000);
+			const passed = !result.timedOut && result.exitCode === 0;
+			addJsonReport('gates', {
+				environment: env.name,
+				gate: name,
+				from: item.from,
+				to: item.to,
+				candidate,
+				result: passed ? 'passed' : result.timedOut ? 'timeout' : 'failed',
+				exitCode: result.exitCode,
+				durationMs: result.durationMs
+			});
+			if (passed) {
+				logSuccess(`${name} passed in ${Math.round(result.durationMs / 1000)}s`);
+				continue;
+			}
+			result.output.trimEnd().split('\n').slice(-20).forEach(line => logger.log(`    ${line}`));
+			return {
+				environment: env.name,
+				gate: name,
+				from: item.from,
+				to: item.to,
+				reason: result.timedOut ? `timed out after ${timeoutSeconds}s` : result.exitCode === null ? result.output : `exit code ${result.exitCode}`
+			};
+		}
+		return null;
+	} finally {
+		await gitOp.removeWorktree(dir);
+	}
+}
+
+// Check the gates before promoting item.env. False when the promotion must be skipped; the failure is
+// kept in gitOp.gateFailures, and an environment whose gates failed is not checked again in the run
+async function passesGates(config, gitOp, item, currentDate, dryRun) {
+	if (!item.env || !item.env.gates || item.env.gates.length === 0) return true;
+	if (gitOp.gateFailures.some(failure => failure.environment === item.env.name)) {
+		logWarn(`${item.env.name}: gates failed earlier in this run, promotion skipped`);
+		return false;
+	}
+	if (dryRun) {
+		logInfo(`[DRY RUN] Would run ${item.env.gates.length} gate(s) for ${item.env.name}`);
+		return true;
+	}
+	const failure = await runGates(config, gitOp, item, currentDate);
+	if (!failure) return true;
+	gitOp.gateFailures.push(failure);
+	logError(`${failure.environment}: ${failure.gate} failed (${failure.reason}), promotion skipped`);
+	notify(gitOp.notifier, 'gate-failed', {
+		environment: failure.environment,
+		branch: item.to,
+		from: item.from,
+		to: item.to,
+		commit: await gitOp.describeCommit(item.from),
+		error: `${failure.gate}: ${failure.reason}`
+	});
+	return false;
+}
+
+// A candidate that does not even sync exits as a merge conflict, failed gate commands as GATE_FAILED
+async function exitOnGateFailures(gitOp) {
+	if (gitOp.gateFailures.length === 0) return;
+	await flushNotifications(gitOp.notifier);
+	const code = gitOp.gateFailures.some(failure => failure.conflict) ? ERROR_CODES.MERGE_FAILED : ERROR_CODES.GATE_FAILED;
+	exitWithError(code, `Quality gates failed: ${gitOp.gateFailures.map(failure => `${failure.environment} (${failure.gate}: ${failure.reason})`).join(', ')}`);
+}
+
+// `plannedRotation` (from a plan file) replaces the rotation worked out from the status
+async function createBranches(config, gitOp, currentDateString, dryRun, status, checkpoint = null, plannedRotation = null) {
+	const environments = getEnvironments(config);
+	const baseEnv = environments[0];
+	if (checkpoint && checkpoint.isDone('rotate')) {
+		logInfo('⏩ New cycle already created in the interrupted run ⏩');
+		return;
+	}
+	// await git.checkout(config.baseBranch);
+	await gitOp.fetch();
+	await gitOp.pull(baseEnv.branch);
+
+	if (plannedRotation) logBranchInfo(config, status, plannedRotation.branches);
+	const { branches, items } = plannedRotation || await planRotation(config, gitOp, currentDateString, status);
+	const { newBaseBranch, targets } = branches;
+	if (!dryRun) {
+		notify(gitOp.notifier, 'cycle-started', {
+			branch: newBaseBranch,
+			cycleDate: branches.nextCycleDate,
+			targets,
+			commit: await gitOp.describeCommit(baseEnv.branch)
+		});
+	}
+
+	logger.log('\n=== Creating New Base Branch ===');
+	if (!status.branches) status.branches = [];
+	if (!status.branches.some(branchInfo => branchInfo.branch === newBaseBranch)) {
+		status.branches.push({
+			branch: newBaseBranch,
+			time: new Date().getTime()
+		});
+	}
+	// Pushes are critical here: a half-applied rotation must stop so it can be resumed. An environment
+	// failing its gates or frozen gets its new target without being promoted; the merges promote it
+	// once its gates pass or the freeze is over
+	const held = [];
+	const freeze = findFreeze(resolveCalendar(config), parse(currentDateString, config.dateFormat, new Date()));
+	for (const item of items) {
+		const phase = `promote:${item.to}`;
+		logLine(item.name);
+		if (checkpoint && checkpoint.isDone(phase)) {
+			logInfo(`⏩ already done in the interrupted run ⏩`);
+			continue;
+		}
+		if (freeze && item.env && freeze.environments.includes(item.env.name)) {
+			logInfo(`❄️ ${item.env.name} is frozen (${freeze.name}, until ${format(freeze.to, config.dateFormat)}) ❄️`);
+			held.push(item.env.name);
+			continue;
+		}
+		if (!await passesGates(config, gitOp, item, currentDateString, dryRun)) {
+			held.push(item.env.name);
+			continue;
+		}
+		if(item.type == "create")
 		{
-			key:"pro",
-			prev:config.preBranch,
-			current: status.pro.branch,
-			next: config.proBranch
-			
+			await gitOp.createBranch(`Creating new branch from ${item.from} to ${item.to}`, item.from, item.to, true);
+			await gitOp.push(item.to, false, true);
+
+		} else if(item.type == "pr")
+		{
+			if (!status[item.env.name]) status[item.env.name] = {};
+			if (!await promoteByPullRequest(config, gitOp, item.env, item.from, dryRun, status)) {
+				await flushNotifications(gitOp.notifier);
+				exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, `Failed to open pull request for ${item.env.name}`);
+			}
+		} else
+		{
+			await syncBranch(gitOp, item, true);
+		}
+		if (checkpoint) await checkpoint.complete(phase, [item.to]);
+	}
+	/*
+	logger.log('\n=== Updating UAT Branch ===');
+	const uatRebaseResult = await git.rebase(uatSourceBranch, newBaseBranch);
+	if (!uatRebaseResult.success) exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, 'Failed to rebase UAT branch');
+	await git.push(uatSourceBranch, true);
+
+	logger.log('\n=== Updating PRE Branch ===');
+	const preMergeResult = await git.merge(config.preBranch, uatSourceBranch, true);
+	if (!preMergeResult.success) exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, 'Failed to merge into PRE branch');
+	await git.push(config.preBranch);
+
+	logger.log('\n=== Updating PRO Branch ===');
+	const proMergeResult = await git.merge(config.proBranch, proSourceBranch, true);
+	if (!proMergeResult.success) exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, 'Failed to merge into PRO branch');
+	await git.push(config.proBranch);
+	*/
+	logger.log('\n=== Updating State ===');
+	// Get latest commit info for all branches
+	const commitInfos = {};
+	for (const target of new Set(Object.values(targets))) {
+		commitInfos[target] = await gitOp.getLatestCommitInfo(target);
+	}
+
+	const newState = {
+		aheadCycleDate: branches.aheadCycleDate,
+		lastCycleDate: branches.nextCycleDate
+	};
+	environments.forEach(env => {
+		const target = targets[env.name];
+		newState[env.name] = rememberPreviousTarget(status[env.name], updateBranchStatus(status[env.name], target, commitInfos[target]));
+		// not promoted yet, so the next merge must not take it as up to date
+		if (held.includes(env.name)) newState[env.name].commit = null;
+	});
+
+	Object.assign(status, newState);
+	await markIncludedCherryPicks(config, gitOp, status, branches.nextCycleDate);
+	const promoted = items.filter(item => item.env && item.type !== 'pr' && !held.includes(item.env.name)).map(item => item.env.name);
+	await tagReleases(config, gitOp, status, promoted, { date: branches.nextCycleDate, kind: 'cycle', dryRun });
+	if (checkpoint) await checkpoint.complete('rotate');
+
+	logger.log('\n=== Workflow Complete ===');
+	logSuccess('All operations completed successfully!');
+}
+
+// merge and workflow refuse while a run or apply is interrupted: they would move the branches its
+// checkpoint recorded, and the resume would refuse afterwards
+function refuseWhileInterrupted(status, command) {
+	const pending = status.checkpoint;
+	if (!pending) return;
+	const resume = pending.command === 'apply' ? `apply ${pending.plan} --resume` : 'run --resume';
+	exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, `The ${pending.command} from ${pending.date} was interrupted, finish it with ${resume} before ${command}`);
+}
+
+// The run command on a loaded config and status: start a new run on opts.date, or finish the interrupted
+// one with opts.resume. Resolves with true when it rotated to a new cycle
+async function executeRun(config, gitOp, opts, status) {
+	const checkpoint = new RunCheckpoint(gitOp, opts.status, status, opts.dryRun);
+	let currentDate = opts.date || getTodayString(config.dateFormat);
+	let isCycle;
+	let releaseFrom = snapshotEnvironmentCommits(config, status);
+
+	if (checkpoint.pending) {
+		if (checkpoint.pending.command === 'apply') {
+			exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, `Applying ${checkpoint.pending.plan} was interrupted, finish it with apply ${checkpoint.pending.plan} --resume`);
+		}
+		if (!opts.resume) {
+			exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, `The run from ${checkpoint.pending.date} was interrupted, rerun with --resume to finish it`);
+		}
+		if (opts.date && opts.date !== checkpoint.pending.date) {
+			exitWithError(ERROR_CODES.INVALID_DATE, `Cannot resume the run from ${checkpoint.pending.date} with --date ${opts.date}`);
+		}
+		currentDate = checkpoint.pending.date;
+		isCycle = checkpoint.pending.cycle;
+		releaseFrom = checkpoint.pending.releaseFrom || {};
+	} else {
+		if (opts.resume) logWarn('No interrupted run recorded, starting a new run');
+		isCycle = isExecutionDay(config.dateFormat, currentDate, config.cycleDays, status.lastCycleDate, config);
+	}
+
+	logger.log(`=== CI/CD Workflow Execution ===`);
+	logger.log(`Date: ${currentDate}`);
+	logger.log(`Repository: ${config.git || process.cwd()}`);
+	reportCycleDates(config, status, currentDate);
+	setJsonReport('rotation', isCycle);
+
+	if (checkpoint.pending) {
+		await checkpoint.verify();
+	} else {
+		await checkpoint.start({ command: 'run', date: currentDate, cycle: isCycle, releaseFrom });
+	}
+
+	await runWorkflow(config, gitOp, opts, status, checkpoint, { currentDate, isCycle, releaseFrom });
+	return isCycle;
+}
+
+// The run workflow: on a cycle day rotate and merge (then prune and write release notes), otherwise merge.
+// With a plan, exactly its items are executed
+async function runWorkflow(config, gitOp, opts, status, checkpoint, { currentDate, isCycle, releaseFrom, plan = null }) {
+	if (isCycle) {
+		await createBranches(
+			config, gitOp, currentDate, 
+			// config.git, 
+			opts.dryRun, 
+			status,
+			checkpoint,
+			plan && plan.rotation
+		);
+		await mergeBranches(config, gitOp, currentDate, opts.dryRun, status, checkpoint, plan && plan.merges);
+		if (config.autoRemoveBranches && !checkpoint.isDone('prune')) {
+			await pruneBranches(config, gitOp, status, { currentDate, dryRun: opts.dryRun });
+			await checkpoint.complete('prune');
+		}
+		if (config.releaseNotes) {
+			const releaseTo = snapshotEnvironmentCommits(config, status);
+			const ranges = {};
+			getEnvironments(config).forEach(env => {
+				ranges[env.name] = { from: releaseFrom[env.name], to: releaseTo[env.name] };
+			});
+			await generateReleaseNotes(config, gitOp, status.lastCycleDate || currentDate, ranges, { dryRun: opts.dryRun, cherryPicks: status.cherryPicks });
+		}
+	} else {
+		   // mergeBranches(config, gitOp, currentDate, dryRun, status)
+		await mergeBranches(config, gitOp, currentDate, opts.dryRun, status, checkpoint, plan && plan.merges);
+	}
+	checkpoint.finish();
+	await saveStatusFile(opts.status, status);
+	// Environments held back by their gates are skipped, the rest of the run is recorded first
+	await exitOnGateFailures(gitOp);
+}
+
+// Fingerprint of the status a plan is made for: applying it to another state would do something else
+function planStatusFingerprint(config, status) {
+	const targets = {};
+	getEnvironments(config).forEach(env => {
+		targets[env.name] = getBranchName(status[env.name]);
+	});
+	return { lastCycleDate: status.lastCycleDate || null, aheadCycleDate: status.aheadCycleDate || null, targets };
+}
+
+// Plan the next run without changing anything: the rotation and merge items, plus the commit every
+// branch they touch is at (null when the branch does not exist yet)
+async function createPlan(config, gitOp, status, currentDate) {
+	await gitOp.fetch();
+	const isCycle = isExecutionDay(config.dateFormat, currentDate, config.cycleDays, status.lastCycleDate, config);
+	let rotation = null;
+	let mergeStatus = status;
+	if (isCycle) {
+		rotation = await planRotation(config, gitOp, currentDate, status);
+		// merges run on the status the rotation leaves; their commits are only known then
+		const { aheadCycleDate, nextCycleDate, targets } = rotation.branches;
+		mergeStatus = { ...status, aheadCycleDate, lastCycleDate: nextCycleDate };
+		getEnvironments(config).forEach(env => {
+			mergeStatus[env.name] = { branch: targets[env.name], commit: null };
+		});
+	}
+	const merges = await planMerges(config, gitOp, mergeStatus);
+
+	const heads = {};
+	for (const item of [...(rotation ? rotation.items : []), ...merges]) {
+		for (const branch of [item.from, item.to]) {
+			if (branch && !(branch in heads)) heads[branch] = await gitOp.resolveCommit(`${config.remoteName}/${branch}`);
+		}
+	}
+	return {
+		version: 1,
+		createdAt: new Date().toISOString(),
+		date: currentDate,
+		cycle: isCycle,
+		status: planStatusFingerprint(config, status),
+		heads,
+		rotation,
+		merges
+	};
+}
+
+function displayPlan(plan) {
+	logger.log(`\n=== Plan for ${plan.date} (${plan.cycle ? 'new cycle' : 'merge only'}) ===`);
+	const items = [...(plan.rotation ? plan.rotation.items : []), ...plan.merges];
+	items.forEach((item, index) => {
+		const from = plan.heads[item.from] ? plan.heads[item.from].substring(0, 8) : 'new';
+		const to = plan.heads[item.to] ? plan.heads[item.to].substring(0, 8) : 'new';
+		logger.log(`${String(index + 1).padStart(2)}. ${item.type.padEnd(7)} ${item.from} (${from}) → ${item.to} (${to})${item.noFastForward ? ' --no-ff' : ''}`);
+	});
+}
+
+// Refuse to apply a plan when the status or any branch it touches has changed since it was made
+async function verifyPlan(config, gitOp, plan, status) {
+	const current = planStatusFingerprint(config, status);
+	if (JSON.stringify(current) !== JSON.stringify(plan.status)) {
+		exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, `The status file changed since the plan was made (planned for ${JSON.stringify(plan.status.targets)}, now ${JSON.stringify(current.targets)}), refusing to apply`);
+	}
+	await gitOp.fetch();
+	const moved = [];
+	for (const [branch, hash] of Object.entries(plan.heads)) {
+		const now = await gitOp.resolveCommit(`${config.remoteName}/${branch}`);
+		if (now !== hash) moved.push(`${branch} (planned ${(hash || 'none').substring(0, 8)}, now ${(now || 'missing').substring(0, 8)})`);
+	}
+	if (moved.length > 0) {
+		exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, `Branches moved since the plan was made, refusing to apply: ${moved.join(', ')}`);
+	}
+	logSuccess('All branches are where the plan expects them');
+}
+
+// Main workflow execution with strict error handling
+function getTodayString(dateFormat) {
+	const date = new Date();
+	return format(date, dateFormat);
+}
+
+// The {branchPrefix}/{date} branches on the remote whose date reads back with dateFormat, newest first
+async function listCycleBranches(config, gitOp) {
+	const prefix = config.branchPrefix ? `${config.branchPrefix}/` : '';
+	const branches = await listRemoteBranches(gitOp.simpleGit, config.remoteName);
+	return branches
+		.filter(branch => branch.startsWith(prefix))
+		.map(branch => ({ branch, name: branch.substring(prefix.length) }))
+		.map(item => ({ ...item, date: parseConfigDate(item.name, config.dateFormat) }))
+		.filter(item => !isNaN(item.date) && format(item.date, config.dateFormat) === item.name)
+		.sort((a, b) => b.date - a.date)
+		.map(({ branch, date }) => ({ branch, date: format(date, config.dateFormat), time: date.getTime() }));
+}
+
+// Branches the status still points at, with the reason: environment targets and their previous
+// targets, the last and the next cycle branch, and the branches of an interrupted run
+function collectStatusBranches(config, status) {
+	const referenced = new Map();
+	const add = (branch, reason) => {
+		if (branch && !referenced.has(branch)) referenced.set(branch, reason);
+	};
+	getEnvironments(config).forEach(env => {
+		add(getBranchName(status[env.name]), `target of ${env.name}`);
+		add(status[env.name] && status[env.name].previous && status[env.name].previous.branch, `previous target of ${env.name}`);
+	});
+	if (status.lastCycleDate) add(formatBranchName(config, status.lastCycleDate), 'last cycle');
+	if (status.aheadCycleDate) add(formatBranchName(config, status.aheadCycleDate), 'next cycle');
+	if (status.checkpoint) Object.keys(status.checkpoint.heads || {}).forEach(branch => add(branch, 'interrupted run'));
+	return referenced;
+}
+
+// Decide for every cycle branch on the remote whether it is kept or deleted: branches referenced by
+// the status or dated after currentDate are kept, then the newest `keep` cycles; with mergedOnly a
+// branch that is not fully merged into the last stage is kept as well
+async function planPrune(config, gitOp, status, { currentDate, keep, mergedOnly }) {
+	const referenced = collectStatusBranches(config, status);
+	const current = parse(currentDate, config.dateFormat, new Date());
+	const production = getEnvironments(config).slice(-1)[0];
+	const rows = [];
+	let kept = 0;
+	for (const { branch, date, time } of await listCycleBranches(config, gitOp)) {
+		let reason = null;
+		if (referenced.has(branch)) {
+			reason = referenced.get(branch);
+		} else if (time > current.getTime()) {
+			reason = `after ${currentDate}`;
+		} else if (kept < keep) {
+			reason = `last ${keep} cycles`;
+		} else if (mergedOnly && !await gitOp.isAncestor(`${config.remoteName}/${branch}`, `${config.remoteName}/${production.branch}`)) {
+			reason = `not merged into ${production.branch}`;
 		}
-	];
-	
-	console.log(`=== Initializing Required Branches ===`);
-	console.log(`Using date: ${currentDateString}`);
-	console.log(`Git directory: ${gitDir || process.cwd()}`);
-	
-	console.log(`base(${config.baseBranch}) : ${status.base.branch}`)
-	console.log(`uat(${config.uatBranch}) : ${status.uat.branch}`)
-	console.log(`pre(${config.preBranch}) : ${status.pre.branch}`)
-	console.log(`pro(${config.proBranch}) : ${status.pro.branch}`)
-	
-	for (const item of items) {
-		var prevExists = item.prev ? await gitOp.branchExists(item.prev) : false;
-		var currentExists = await gitOp.branchExists(item.current);
-		var nextExists = await gitOp.branchExists(item.next);
-		// console.log(prevExists, currentExists, nextExists);
-		if(!prevExists && !currentExists && !nextExists)
-			exitWithError(ERROR_CODES.MISSING_BRANCHES, `Source branch ${item.prev ? item.prev  : item.current} does not exist`);
-		var toDoList = [];
+		if (time <= current.getTime()) kept++;
+		rows.push({ branch, date, action: reason ? 'keep' : 'delete', reason: reason || `older than the last ${keep} cycles` });
+	}
+	return rows;
+}
 
-		if(prevExists && !currentExists && !nextExists)
-		{
-			toDoList.push({
-				key:item.key,
-				from:item.prev,
-				to:item.current
-			});
-			toDoList.push({
-				key:item.key,
-				from:item.current,
-				to:item.next
-			});
-		} 
-		if(currentExists)
-		{
-			toDoList.push({
-				key:item.key,
-				from:item.current,
-				to:item.next
-			});
+function displayPrunePlan(rows) {
+	if (rows.length === 0) {
+		logInfo('No cycle branches found on the remote');
+		return;
+	}
+	const width = Math.max(...rows.map(row => row.branch.length), 'Branch'.length);
+	logger.log(`${'Branch'.padEnd(width)}  Action  Reason`);
+	rows.forEach(row => logger.log(`${row.branch.padEnd(width)}  ${row.action.padEnd(6)}  ${row.reason}`));
+}
+
+// Delete the cycle branches planPrune does not keep, after printing the keep/delete table.
+// Resolves with the table; failed deletions are marked (result: failed) and left in status.branches
+async function pruneBranches(config, gitOp, status, { currentDate, keep = config.branchRetentionCycles, mergedOnly = config.pruneMergedOnly, dryRun = false }) {
+	logger.log(`\n=== Pruning Cycle Branches ===`);
+	await gitOp.fetch();
+	const rows = await planPrune(config, gitOp, status, { currentDate, keep, mergedOnly });
+	displayPrunePlan(rows);
+	for (const row of rows.filter(item => item.action === 'delete')) {
+		const result = await gitOp.deleteBranch(row.branch, false);
+		row.result = result.dryRun ? 'dry-run' : result.success ? 'deleted' : 'failed';
+	}
+	const deleted = rows.filter(row => row.result === 'deleted').map(row => row.branch);
+	if (status.branches) status.branches = status.branches.filter(branchInfo => !deleted.includes(branchInfo.branch));
+	const failed = rows.filter(row => row.result === 'failed');
+	if (failed.length > 0) logWarn(`Failed to delete ${failed.map(row => row.branch).join(', ')}`);
+	setJsonReport('prune', rows);
+	return rows;
+}
+
+
+// Find the target an environment should fall back to: the one recorded before the
+// last rotation, otherwise the cycle branch created before the current target
+function findPreviousTarget(status, environment) {
+	const envStatus = status[environment];
+	if (envStatus && envStatus.previous && envStatus.previous.branch) {
+		return envStatus.previous;
+	}
+	const currentBranch = getBranchName(envStatus);
+	const history = (status.branches || []).map(branchInfo => branchInfo.branch);
+	const index = history.indexOf(currentBranch);
+	if (index > 0) {
+		return { branch: history[index - 1], commit: null };
+	}
+	return null;
+}
+
+// Restore an environment branch to a previous target, either by resetting it
+// (force-with-lease push) or by committing a revert of the content on top of it
+async function rollbackEnvironment(config, gitOp, environment, dryRun, status, options = {}) {
+	// The first stage only feeds cycle branches, there is nothing to roll back there
+	const rollbackEnvironments = getEnvironments(config).slice(1);
+	const env = rollbackEnvironments.find(item => item.name === environment);
+	if (!env) {
+		exitWithError(ERROR_CODES.INVALID_COMMAND, `Unknown environment "${environment}" (expected one of ${rollbackEnvironments.map(item => item.name).join(', ')})`);
+	}
+	const mode = options.mode || 'reset';
+	if (!['reset', 'revert'].includes(mode)) {
+		exitWithError(ERROR_CODES.INVALID_COMMAND, `Unknown rollback mode "${mode}" (expected reset or revert)`);
+	}
+
+	const envBranch = env.branch;
+	const currentBranch = getBranchName(status[environment]);
+	const currentCommit = extractBranchLatestCommit(status[environment]);
+	const previous = options.to ? { branch: options.to, commit: null } : findPreviousTarget(status, environment);
+	if (!previous) {
+		exitWithError(ERROR_CODES.MISSING_BRANCHES, `No previous target recorded for ${environment} (current: ${currentBranch}), use --to <branch>`);
+	}
+
+	logger.log(`=== Rollback ${environment.toUpperCase()} ===`);
+	logger.log(`${environment}(${envBranch}): switching target from (${currentBranch}) back to (${previous.branch})`);
+
+	await gitOp.fetch();
+	if (!await gitOp.branchExists(previous.branch)) {
+		exitWithError(ERROR_CODES.MISSING_BRANCHES, `Rollback target ${previous.branch} does not exist`);
+	}
+	if (!await gitOp.localBranchesExists(previous.branch)) {
+		await gitOp.checkout(previous.branch);
+	}
+	// Prefer the exact commit that was promoted, the target branch may have moved since
+	const targetRef = previous.commit && previous.commit.hash ? previous.commit.hash : previous.branch;
+	await gitOp.pull(envBranch);
+
+	logLine(`${mode} ${envBranch} to ${previous.branch} (${targetRef})`);
+	if (mode === 'reset') {
+		await gitOp.reset(targetRef, envBranch, true);
+		await gitOp.push(envBranch, true, true);
+	} else {
+		await gitOp.revert(targetRef, envBranch, `CICD Rollback ${envBranch} from ${currentBranch} to ${previous.branch}`, true);
+		await gitOp.push(envBranch, false, true);
+	}
+	logLine();
+
+	if (dryRun) return;
+
+	const commitInfo = previous.commit || await gitOp.getLatestCommitInfo(previous.branch);
+	status[environment] = {
+		...status[environment],
+		branch: previous.branch,
+		commit: commitInfo
+	};
+	// The target we fell back to has no earlier target of its own recorded
+	delete status[environment].previous;
+	if (!status.rollbacks) status.rollbacks = [];
+	status.rollbacks.push({
+		environment,
+		mode,
+		from: currentBranch,
+		fromCommit: currentCommit ? currentCommit.hash : null,
+		to: previous.branch,
+		toCommit: commitInfo ? commitInfo.hash : null,
+		time: new Date().getTime()
+	});
+	notify(gitOp.notifier, 'rollback', {
+		environment,
+		branch: envBranch,
+		mode,
+		from: currentBranch,
+		to: previous.branch,
+		commit: await gitOp.describeCommit(envBranch)
+	});
+	logSuccess(`${environment} rolled back to ${previous.branch}`);
+}
+
+// Start a hotfix branch from the production branch (the last stage) and record it as open
+async function startHotfix(config, gitOp, name, dryRun, status) {
+	const environments = getEnvironments(config);
+	const proBranch = environments[environments.length - 1].branch;
+	const hotfixBranch = `${config.hotfixPrefix}/${name}`;
+	if (!status.hotfixes) status.hotfixes = [];
+	if (status.hotfixes.some(hotfix => hotfix.branch === hotfixBranch && hotfix.state !== 'finished')) {
+		exitWithError(ERROR_CODES.INVALID_COMMAND, `Hotfix ${hotfixBranch} is already open`);
+	}
+
+	logger.log(`=== Starting Hotfix ${hotfixBranch} ===`);
+	await gitOp.fetch();
+	if (!await gitOp.branchExists(proBranch)) {
+		exitWithError(ERROR_CODES.MISSING_BRANCHES, `Required branch ${proBranch} does not exist`);
+	}
+	const createResult = await gitOp.createBranch(`CICD Hotfix start ${name}`, proBranch, hotfixBranch, true);
+	if (createResult.existed) {
+		exitWithError(ERROR_CODES.INVALID_COMMAND, `Branch ${hotfixBranch} already exists`);
+	}
+	await gitOp.push(hotfixBranch, false, true);
+
+	if (dryRun) return;
+
+	const proCommitInfo = await gitOp.getLatestCommitInfo(proBranch);
+	status.hotfixes.push({
+		name,
+		branch: hotfixBranch,
+		from: proBranch,
+		commit: proCommitInfo ? proCommitInfo.hash : null,
+		state: 'open',
+		mergedInto: [],
+		time: new Date().getTime()
+	});
+	logSuccess(`Hotfix branch ${hotfixBranch} created from ${proBranch}`);
+}
+
+// Merge a hotfix into pro (the last stage), then back down the pipeline, the current cycle branch and base
+async function finishHotfix(config, gitOp, name, dryRun, status, currentDate = getTodayString(config.dateFormat)) {
+	const hotfixBranch = `${config.hotfixPrefix}/${name}`;
+	const hotfix = (status.hotfixes || []).find(item => item.branch === hotfixBranch && item.state !== 'finished');
+	if (!hotfix) {
+		exitWithError(ERROR_CODES.INVALID_COMMAND, `No open hotfix named ${name}`);
+	}
+
+	logger.log(`=== Finishing Hotfix ${hotfixBranch} ===`);
+	await gitOp.fetch();
+	await gitOp.pull(hotfixBranch);
+
+	// Production first, then every other stage down the pipeline, the current cycle branch and the first stage
+	const environments = getEnvironments(config);
+	const proBranch = environments[environments.length - 1].branch;
+	const targets = [
+		...environments.slice(1).reverse().map(env => env.branch),
+		getBranchName(status[environments[0].name]),
+		environments[0].branch
+	].filter((branch, index, list) => branch && list.indexOf(branch) === index);
+
+	var hasError = false;
+	var promoted = [];
+	for (const target of targets) {
+		logLine(`merge hotfix(${hotfixBranch}) → ${target}`);
+		if (hotfix.mergedInto.includes(target)) {
+			logInfo(`⏩ already merged into ${target} ⏩`);
+			continue;
 		}
-		if(nextExists)
-		{
-			toDoList.push({
-				key:item.key,
-				from:item.next,
-				to:item.current
-			});
+		// Production must take the hotfix, everything downstream is best effort and retried on the next finish
+		const critical = target === proBranch;
+		const mergeResult = await gitOp.merge(target, hotfixBranch, true, critical);
+		if (mergeResult && mergeResult.success) {
+			const pushResult = await gitOp.push(target, false, critical);
+			if (pushResult.success) {
+				if (!dryRun) hotfix.mergedInto.push(target);
+				const env = environments.find(item => item.branch === target);
+				if (env) promoted.push(env.name);
+				continue;
+			}
 		}
+		logError(`Failed to merge ${hotfixBranch} into ${target}`);
+		hasError = true;
+	}
+	logLine();
+	await tagReleases(config, gitOp, status, promoted, { date: currentDate, kind: 'hotfix', dryRun });
 
-		for (const item of toDoList) {
-			// await git.mergeBranches(item.from, item.to, true);
-			if (await gitOp.branchExists(item.to)) {
-				const mergeResult = await gitOp.merge(item.to, item.from, false, true);
-				// console.log(mergeResult);
-				// if (mergeResult && mergeResult.success) {
-			} else {
-				const createResult = await gitOp.createBranch(`CICD Initial commit to ${item.to} key:${item.key}`, item.from, item.to);
-				
-				if (createResult.success && !dryRun) {
-					// Get latest commit info for the new branch
-					await gitOp.checkout(item.from);
-					await gitOp.emptyCommit("EmptyCommit");
-					await gitOp.checkout(item.from);
-					await gitOp.push(item.to);
-					
-				} else if (dryRun) {
-					logInfo(`[DRY RUN] Would create ${item.to} from ${item.from}`);
-				} else {
-					exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, `Failed to create ${item.to}`);
-				}
+	if (dryRun) return;
+
+	hotfix.state = hasError ? 'partial' : 'finished';
+	if (!hasError) hotfix.finished = new Date().getTime();
+	return hasError;
+}
+
+// Commits selected by promote-commits: hashes and `a..b` ranges (oldest first), plus with `grep`
+// the commits of `sourceRef` not yet on `envRef` whose message matches
+async function selectCommits(gitOp, refs, grep, sourceRef, envRef) {
+	const selected = [];
+	for (const ref of refs) {
+		if (ref.includes('..')) {
+			let range;
+			try {
+				range = await gitOp.simpleGit.raw(['rev-list', '--reverse', '--no-merges', ref]);
+			} catch (error) {
+				exitWithError(ERROR_CODES.INVALID_COMMAND, `Invalid commit range "${ref}": ${error.message.trim()}`);
 			}
-				
+			selected.push(...range.split('\n').filter(hash => hash.trim()));
+			continue;
+		}
+		const hash = await gitOp.resolveCommit(`${ref}^{commit}`);
+		if (!hash) exitWithError(ERROR_CODES.INVALID_COMMAND, `Unknown commit "${ref}"`);
+		selected.push(hash);
+	}
+	if (grep) {
+		const matching = await gitOp.simpleGit.raw(['log', '--reverse', '--no-merges', '--format=%H', `--grep=${grep}`, `${envRef}..${sourceRef}`]);
+		selected.push(...matching.split('\n').filter(hash => hash.trim()));
+	}
+	return [...new Set(selected)];
+}
+
+// Cherry-pick selected commits of the current cycle branch (or `from`) onto an environment branch
+// with -x and push it, ahead of the next rotation. Commits already on the branch (or with the same
+// change) are skipped; the picks are recorded in status.cherryPicks
+async function promoteCommits(config, gitOp, status, { environment, refs = [], grep = null, from = null, currentDate, dryRun = false }) {
+	const environments = getEnvironments(config);
+	const env = environments.slice(1).find(item => item.name === environment);
+	if (!env) {
+		exitWithError(ERROR_CODES.INVALID_COMMAND, `Unknown environment "${environment}" (expected one of ${environments.slice(1).map(item => item.name).join(', ')})`);
+	}
+	const source = from || getBranchName(status[environments[0].name]);
+	if (!source) exitWithError(ERROR_CODES.MISSING_BRANCHES, 'No current cycle branch in the status file, run init first or pass --from');
+	if (refs.length === 0 && !grep) exitWithError(ERROR_CODES.INVALID_COMMAND, 'Give the commits to promote, a commit range or --grep');
+
+	await gitOp.fetch();
+	for (const branch of [source, env.branch]) {
+		if (!await gitOp.remoteBranchExists(branch)) exitWithError(ERROR_CODES.MISSING_BRANCHES, `Branch ${branch} does not exist on ${config.remoteName}`);
+	}
+	const sourceRef = `${config.remoteName}/${source}`;
+	const envRef = `${config.remoteName}/${env.branch}`;
+	const commits = await selectCommits(gitOp, refs, grep, sourceRef, envRef);
+	if (commits.length === 0) exitWithError(ERROR_CODES.INVALID_COMMAND, `No commits selected on ${source}`);
 
+	logger.log(`=== Promote Commits: ${source} → ${env.name} (${env.branch}) ===`);
+	const picks = [];
+	for (const commit of commits) {
+		const info = await gitOp.describeCommit(commit);
+		const parents = (await gitOp.simpleGit.raw(['rev-list', '--parents', '-n', '1', commit])).trim().split(' ').length - 1;
+		if (parents > 1) exitWithError(ERROR_CODES.INVALID_COMMAND, `${commit.substring(0, 8)} is a merge commit, pick the commits it merged instead`);
+		if (!await gitOp.isAncestor(commit, sourceRef)) exitWithError(ERROR_CODES.INVALID_COMMAND, `${commit.substring(0, 8)} is not on ${source}`);
+		let skip = null;
+		if (await gitOp.isAncestor(commit, envRef)) {
+			skip = `already on ${env.branch}`;
+		} else if ((status.cherryPicks || []).some(pick => pick.environment === env.name && pick.commit === commit)) {
+			skip = 'already cherry-picked';
+		} else if (await gitOp.hasEquivalentCommit(commit, envRef)) {
+			skip = `same change already on ${env.branch}`;
 		}
-		
+		logger.log(`${skip ? '⏩' : '🍒'} ${commit.substring(0, 8)} ${info.message}${skip ? ` (${skip})` : ''}`);
+		if (!skip) picks.push({ commit, message: info.message });
+	}
+	if (picks.length === 0) {
+		logInfo(`Nothing to promote to ${env.name}`);
+		setJsonReport('cherryPicks', []);
+		return [];
 	}
 
-	
-	
-	for (const item of items) {
-		// console.log("__checkout ", item.current, "________");
-		await gitOp.checkout(item.current);
-		// console.log("get getLatestCommitInfo", item.current);
-		const commitInfo = await gitOp.getLatestCommitInfo(item.current);
-		if (commitInfo) {
-			// console.log("key", item.current, item.key, commitInfo.hash);
-			// Update status with commit info
-			status[item.key].commit = commitInfo;
+	const before = await gitOp.resolveCommit(envRef);
+	await gitOp.cherryPick(env.branch, picks.map(pick => pick.commit));
+	await gitOp.push(env.branch, false, true);
+	const picked = dryRun ? [] : (await gitOp.simpleGit.raw(['rev-list', '--reverse', `${before}..${env.branch}`])).split('\n').filter(hash => hash.trim());
+	const records = picks.map((pick, index) => ({
+		environment: env.name,
+		branch: env.branch,
+		source,
+		commit: pick.commit,
+		picked: picked[index] || null,
+		message: pick.message,
+		date: currentDate,
+		time: new Date().getTime()
+	}));
+	if (!dryRun) status.cherryPicks = [...(status.cherryPicks || []), ...records];
+	setJsonReport('cherryPicks', records);
+	return records;
+}
+
+// After a rotation, mark the cherry-picks whose original commit reached their environment with its new
+// target as included in this cycle; release notes list those as already present. Picks included in
+// an earlier cycle are dropped
+async function markIncludedCherryPicks(config, gitOp, status, cycleDate) {
+	if (!status.cherryPicks || status.cherryPicks.length === 0) return;
+	status.cherryPicks = status.cherryPicks.filter(pick => !pick.includedIn || pick.includedIn === cycleDate);
+	const included = [];
+	for (const pick of status.cherryPicks.filter(item => !item.includedIn)) {
+		const target = getBranchName(status[pick.environment]);
+		const reached = target ? await gitOp.isAncestor(pick.commit, target).catch(() => false) : false;
+		if (!reached) continue;
+		pick.includedIn = cycleDate;
+		included.push(pick);
+	}
+	if (included.length === 0) return;
+	logger.log('\n=== Cherry-Picked Commits Now Promoted ===');
+	included.forEach(pick => {
+		logInfo(`${pick.commit.substring(0, 8)} ${pick.message}: already in ${pick.environment} (cherry-picked as ${(pick.picked || '').substring(0, 8)} on ${pick.date})`);
+	});
+	setJsonReport('cherryPicks', included);
+}
+
+function displayCherryPicks(status) {
+	const pending = (status.cherryPicks || []).filter(pick => !pick.includedIn);
+	if (pending.length === 0) return;
+	logger.log('=== Cherry-Picked Commits ===');
+	pending.forEach(pick => {
+		logger.log(`- ${pick.commit.substring(0, 8)} → ${pick.environment} as ${(pick.picked || '').substring(0, 8)} on ${pick.date}: ${pick.message}`);
+	});
+	logger.log('');
+}
+
+// Subjects of the commits the tool makes itself on environment branches (rollback reverts, conflict commits)
+const TOOL_COMMIT_SUBJECT = /^CICD (Rollback|Conflict:) /;
+
+// Commits made directly on each environment branch: on the branch but not on its target from the
+// status, nor on the first stage's branch or the current cycle branch (directly or as the same change
+// under another hash). Commits the tool made (squashes, rollbacks, conflict commits), recorded
+// cherry-picks and the targets an environment was rolled back from are not drift
+async function findDrift(config, gitOp, status, environment = null) {
+	const environments = getEnvironments(config);
+	const baseEnv = environments[0];
+	const candidates = environments.slice(1);
+	if (environment && !candidates.some(env => env.name === environment)) {
+		exitWithError(ERROR_CODES.INVALID_COMMAND, `Unknown environment "${environment}" (expected one of ${candidates.map(env => env.name).join(', ')})`);
+	}
+	await gitOp.fetch();
+	const remoteRef = branch => `${config.remoteName}/${branch}`;
+	const upstream = [baseEnv.branch, getBranchName(status[baseEnv.name])].filter(Boolean);
+	const picked = (status.cherryPicks || []).map(pick => pick.picked).filter(Boolean);
+	const drift = [];
+	for (const env of candidates.filter(item => !environment || item.name === environment)) {
+		const target = getBranchName(status[env.name]);
+		if (!target) {
+			logWarn(`${env.name}: no target in the status file, skipped`);
+			continue;
+		}
+		for (const branch of [env.branch, target]) {
+			if (!await gitOp.remoteBranchExists(branch)) exitWithError(ERROR_CODES.MISSING_BRANCHES, `Branch ${branch} does not exist on ${config.remoteName}`);
 		}
+		const rolledBack = (status.rollbacks || []).filter(rollback => rollback.environment === env.name && rollback.fromCommit).map(rollback => `^${rollback.fromCommit}`);
+		// --full-history with a pathspec drops empty commits (the placeholders init makes) and nothing else
+		const log = await gitOp.simpleGit.raw([
+			'log', '--no-merges', '--full-history', '--reverse', '--format=%H%x09%an%x09%aI%x09%s%x09%(trailers:key=Squashed-Head,valueonly,separator=)',
+			`${remoteRef(target)}..${remoteRef(env.branch)}`, ...upstream.map(branch => `^${remoteRef(branch)}`), ...rolledBack, '--', '.'
+		]);
+		const commits = [];
+		for (const line of log.split('\n').filter(item => item.trim())) {
+			const [hash, author, date, message, squashedHead] = line.split('\t');
+			if (squashedHead || picked.includes(hash) || TOOL_COMMIT_SUBJECT.test(message)) continue;
+			if (await gitOp.hasEquivalentCommit(hash, remoteRef(baseEnv.branch))) continue;
+			commits.push({ hash, author, date, message });
+		}
+		drift.push({ environment: env.name, branch: env.branch, target, commits });
 	}
+	return drift;
+}
 
-	if (statusPath) await saveStatusFile(statusPath, status);
+function displayDrift(drift) {
+	drift.forEach(({ environment, branch, target, commits }) => {
+		if (commits.length === 0) {
+			logSuccess(`${environment}: no drift (no commits made directly on ${branch})`);
+			return;
+		}
+		logWarn(`${environment}: ${commits.length} commit(s) only on ${branch}, not on its target ${target}`);
+		commits.forEach(commit => logger.log(`  ${commit.hash.substring(0, 8)} ${commit.date.substring(0, 10)} ${commit.author.padEnd(16)} ${commit.message}`));
+	});
+}
 
-	console.log("");
-	logOK('=== Initialization Complete ===');
+// Cherry-pick the drift commits (oldest first, each once) onto the first stage's branch, so the next
+// cycle branches carry them. Resolves with the number of commits picked
+async function mergeBackDrift(config, gitOp, drift) {
+	const baseEnv = getEnvironments(config)[0];
+	const commits = [...new Set(drift.flatMap(item => item.commits.map(commit => commit.hash)))];
+	if (commits.length === 0) return 0;
+	logger.log(`\n=== Merging Drift Back into ${baseEnv.branch} ===`);
+	await gitOp.cherryPick(baseEnv.branch, commits);
+	await gitOp.push(baseEnv.branch, false, true);
+	return commits.length;
 }
 
-// Verify all required branches exist or exit
-async function verifyBranches(gitOp, config, statusPath, gitDir, customDate = null) {
-	let status = await loadStatusFile(statusPath) || {};
-	const currentDate = customDate || getTodayString(config.dateFormat);
+function displayHotfixes(status) {
+	logger.log(`=== Hotfixes ===`);
+	const hotfixes = status.hotfixes || [];
+	if (hotfixes.length === 0) {
+		logger.log('No hotfixes recorded');
+		return;
+	}
+	hotfixes.forEach(hotfix => {
+		logger.log(`- ${hotfix.branch} [${hotfix.state}] from ${hotfix.from}@${(hotfix.commit || '').substring(0, 8)} (started: ${new Date(hotfix.time).toLocaleDateString()})`);
+		if (hotfix.mergedInto.length > 0) logger.log(`  Merged into: ${hotfix.mergedInto.join(', ')}`);
+	});
+}
 
-	console.log(`=== CI/CD Branch Verification ===`);
-	console.log(`Using date: ${currentDate}`);
-	console.log(`Repository: ${gitDir || process.cwd()}`);
+// Placeholders of tagTemplate: {year} and {week} (ISO week) are taken from the date
+const TAG_PLACEHOLDERS = ['env', 'branch', 'date', 'year', 'week', 'version', 'major', 'minor', 'patch'];
 
-	var branches = calculateBranchDates(config, status, currentDate, config.cycleDays, config.branchPrefix, config.dateFormat);
-	const { newBaseBranch, uatSourceBranch, proSourceBranch } = branches;
-	const requiredBranches = [
-		config.baseBranch,
-		newBaseBranch,
+// Environments that get a tag after a promotion: tagEnvironments, or every stage fed by promotions
+function isTaggedEnvironment(config, env, environments = getEnvironments(config)) {
+	if (Array.isArray(config.tagEnvironments)) return config.tagEnvironments.includes(env.name);
+	return environments.findIndex(item => item.name === env.name) > 0;
+}
 
-		uatSourceBranch,
-		config.uatBranch,
-		config.preBranch,
+function formatTagName(config, { env, date, version }) {
+	const day = parse(date, config.dateFormat, new Date());
+	const [major, minor, patch] = (version || '').split('.');
+	const values = {
+		env: env.name,
+		branch: env.branch,
+		date,
+		year: isNaN(day) ? '' : format(day, 'RRRR'),
+		week: isNaN(day) ? '' : format(day, 'I'),
+		version: version || '',
+		major: major || '',
+		minor: minor || '',
+		patch: patch || ''
+	};
+	return config.tagTemplate.replace(/\{([^}]*)\}/g, (placeholder, name) => (name in values ? values[name] : placeholder));
+}
 
-		proSourceBranch,
-		config.proBranch
-	];
+// Semantic version of the next release: minor is bumped per cycle, patch per off-cycle merge or hotfix,
+// and a raised tagMajorVersion starts over at <major>.0.0
+function nextReleaseVersion(config, status, kind) {
+	let [major, minor, patch] = status.version ? status.version.split('.').map(Number) : [config.tagMajorVersion, -1, 0];
+	if (config.tagMajorVersion > major) [major, minor, patch] = [config.tagMajorVersion, -1, 0];
+	if (kind === 'cycle') return `${major}.${minor + 1}.0`;
+	return `${major}.${Math.max(minor, 0)}.${patch + 1}`;
+}
 
-	console.log('\nChecking required branches:');
-	let missing = false;
+// Tag the heads of the promoted environment branches (annotated, pushed right away) and record the
+// releases in the status file. An existing tag on the same commit is kept, a taken name gets a suffix
+async function tagReleases(config, gitOp, status, promoted, { date, kind, dryRun }) {
+	if (!config.tags) return [];
+	const environments = getEnvironments(config).filter(env => promoted.includes(env.name) && isTaggedEnvironment(config, env));
+	if (environments.length === 0) return [];
 
-	for (const branch of requiredBranches) {
-		const exists = await gitOp.branchExists(branch);
-		if (exists) {
-			logValid(`${branch}`);
+	logger.log('\n=== Tagging Releases ===');
+	const version = config.tagSemver ? nextReleaseVersion(config, status, kind) : null;
+	const releases = [];
+	for (const env of environments) {
+		const commit = await gitOp.resolveCommit(env.branch);
+		const baseName = formatTagName(config, { env, date, version });
+		let tag = baseName;
+		for (let suffix = 2; ; suffix++) {
+			const tagged = await gitOp.tagCommit(tag);
+			if (!tagged || tagged === commit) break;
+			tag = `${baseName}.${suffix}`;
+		}
+		if (await gitOp.tagCommit(tag)) {
+			logInfo(`⏩ ${tag} already tags ${env.branch} ⏩`);
 		} else {
-			logError(`${branch} (missing)`);
-			missing = true;
+			const message = `CICD ${kind} release of ${env.name} (${env.branch}) ${date}${version ? ` version ${version}` : ''}`;
+			const tagResult = await gitOp.createTag(tag, env.branch, message, false);
+			if (!tagResult.success) continue;
 		}
+		const pushResult = await gitOp.pushTag(tag, false);
+		if (!pushResult.success) continue;
+		releases.push({ tag, environment: env.name, branch: env.branch, commit, version, date, kind, time: new Date().getTime() });
 	}
+	if (dryRun || releases.length === 0) return releases;
 
-	// Show latest commit info if available
-	console.log('\n=== Latest Commit Information ===');
-	const branchTypes = ['base', 'uat', 'pre', 'pro'];
-	for (const type of branchTypes) {
-		const branchName = getBranchName(status[type]);
-		const commitInfo = extractBranchLatestCommit(status[type]);
-		if (commitInfo) {
-			console.log(`${type.toUpperCase()}: ${branchName}`);
-			console.log(`  Hash: ${commitInfo.hash}`);
-			console.log(`  Date: ${commitInfo.date}`);
-			console.log(`  Message: ${commitInfo.message}`);
-			console.log(`  Author: ${commitInfo.author_name} <${commitInfo.author_email}>`);
-			console.log('');
-		}
-	}
+	if (!status.releases) status.releases = [];
+	releases.forEach(release => {
+		if (!status.releases.some(item => item.tag === release.tag)) status.releases.push(release);
+	});
+	if (version) status.version = version;
+	return releases;
+}
 
-	console.log('\n=== Verification Result ===');
-	if (missing) {
-		logError('Missing required branches - fix before running workflow');
-		process.exit(ERROR_CODES.MISSING_BRANCHES);
-	} else {
-		console.log('✅  All required branches exist');
+function displayReleases(status, { environment = null, limit = 0 } = {}) {
+	logger.log(`=== Releases ===`);
+	let releases = (status.releases || []).filter(release => !environment || release.environment === environment);
+	if (limit > 0) releases = releases.slice(-limit);
+	setJsonReport('releases', releases);
+	if (releases.length === 0) {
+		logger.log('No releases recorded');
+		return;
 	}
+	const tagWidth = Math.max(...releases.map(release => release.tag.length));
+	const envWidth = Math.max(...releases.map(release => release.environment.length));
+	releases.forEach(release => {
+		logger.log(`${release.date}  ${release.environment.padEnd(envWidth)}  ${release.tag.padEnd(tagWidth)}  ${(release.commit || '').substring(0, 8)}  ${release.kind.padEnd(6)}${release.version ? `  ${release.version}` : ''}`);
+	});
+	if (status.version) logger.log(`\nCurrent version: ${status.version}`);
 }
 
-function formatBranchName(config, branch) {
-	return config.branchPrefix ? `${config.branchPrefix}/${branch}` : branch;
+// Print journal entries, optionally filtered by environment, date range (inclusive) and commit hash
+async function displayHistory(config, journalPath, filters = {}) {
+	const entries = await readJournal(journalPath);
+	let branches = null;
+	if (filters.env) {
+		const env = getEnvironments(config).find(item => item.name === filters.env || item.branch === filters.env);
+		if (!env) exitWithError(ERROR_CODES.INVALID_COMMAND, `Unknown environment "${filters.env}"`);
+		branches = [env.branch, `${config.remoteName}/${env.branch}`];
+	}
+	const parseFilterDate = (value) => {
+		const date = parse(value, config.dateFormat, new Date());
+		if (isNaN(date)) exitWithError(ERROR_CODES.INVALID_DATE, `Invalid date "${value}" (expected ${config.dateFormat})`);
+		return date;
+	};
+	const since = filters.since ? parseFilterDate(filters.since) : null;
+	const until = filters.until ? addDays(parseFilterDate(filters.until), 1) : null;
+
+	const matches = entries.filter(entry => {
+		const time = new Date(entry.time);
+		if (branches && !branches.includes(entry.from) && !branches.includes(entry.to)) return false;
+		if (since && time < since) return false;
+		if (until && time >= until) return false;
+		if (filters.commit && ![entry.before, entry.after].some(hash => hash && hash.startsWith(filters.commit))) return false;
+		return true;
+	});
+
+	logger.log(`=== History (${journalPath}) ===`);
+	if (matches.length === 0) {
+		logger.log('No matching journal entries');
+		return;
+	}
+	matches.forEach(entry => {
+		const before = entry.before ? entry.before.substring(0, 8) : '--------';
+		const after = entry.after ? entry.after.substring(0, 8) : '--------';
+		const repository = entry.repository ? `[${entry.repository}] ` : '';
+		const dateOverride = entry.date ? ` (--date ${entry.date})` : '';
+		logger.log(`${entry.result === 'success' ? '✅' : '❌'} ${entry.time} ${repository}${entry.command} ${entry.action} ${entry.from || ''} → ${entry.to} ${before}..${after}${dateOverride}`);
+		if (entry.error) logger.log(`   ${entry.error}`);
+	});
 }
-function sameCommitInfo(commitInfo1, commitInfo2)
-{
-	if (!commitInfo1 || !commitInfo2) {
-		return false;
+
+function displayCalendar(config, status, currentDate, count) {
+	const calendar = resolveCalendar(config);
+	const today = parse(currentDate, config.dateFormat, new Date());
+	const lastCycleDate = status.lastCycleDate ? parse(status.lastCycleDate, config.dateFormat, new Date()) : null;
+
+	logger.log(`=== Release Calendar ===`);
+	logger.log(`Date: ${currentDate}`);
+	logger.log(`Last cycle date: ${status.lastCycleDate || 'Never'}`);
+	logger.log(`Cycle: every ${config.cycleDays} days${calendar.anchorWeekday !== null ? `, on ${WEEKDAYS[calendar.anchorWeekday]}` : ''}`);
+	const activeFreeze = findFreeze(calendar, today);
+	if (activeFreeze) {
+		logWarn(`Code freeze now: ${activeFreeze.name} until ${format(activeFreeze.to, config.dateFormat)} (${activeFreeze.environments.join(', ')})`);
 	}
-	
-	if (commitInfo1.hash === commitInfo2.hash) return true;
-	return false;
+
+	// Without a last cycle, the first run starts the schedule
+	const entries = lastCycleDate
+		? listCycleDates(config, lastCycleDate, { count })
+		: (() => {
+			const { current } = resolveCycleDates(config, null, today);
+			return [{ nominal: current, date: current, reason: 'first cycle' }, ...listCycleDates(config, current, { count: count - 1 })];
+		})();
+
+	logger.log('');
+	const schedule = entries.map(entry => {
+		const date = entry.date ? format(entry.date, config.dateFormat) : null;
+		return {
+			nominal: format(entry.nominal, config.dateFormat),
+			date,
+			branch: date ? formatBranchName(config, date) : null,
+			due: !!entry.date && entry.date <= today,
+			reason: entry.reason
+		};
+	});
+	schedule.forEach(entry => {
+		const note = entry.reason ? `  (${entry.reason})` : '';
+		if (!entry.date) {
+			logger.log(`⏭️  ${entry.nominal}  skipped${entry.reason ? `  (${entry.reason.replace(/^skipped, /, '')})` : ''}`);
+		} else {
+			logger.log(`${entry.due ? '🔜' : '📅'} ${entry.date}  ${entry.branch}${note}`);
+		}
+	});
+	setJsonReport('calendar', {
+		anchorWeekday: calendar.anchorWeekday !== null ? WEEKDAYS[calendar.anchorWeekday] : null,
+		freezePolicy: calendar.freezePolicy,
+		activeFreeze: activeFreeze ? { name: activeFreeze.name, from: format(activeFreeze.from, config.dateFormat), to: format(activeFreeze.to, config.dateFormat), environments: activeFreeze.environments } : null,
+		schedule
+	});
 }
-async function mergeBranches(config, gitOp, currentDate, dryRun, status) {
-	await gitOp.fetch();
-	console.log("\n=== Merge or Rebase Branches ===");
-	logInfo(`${currentDate} Merge or Rebase Branches`);
-	
-	// await git.checkout(config.baseBranch);
-	await gitOp.pull(config.baseBranch);
 
-	var items = [];
-			
-	if (status.aheadCycleDate) {
-		
-		var branch = formatBranchName(config, status.aheadCycleDate);
-		
-		if (await gitOp.remoteBranchExists(branch)) {
-			
-			if(!await gitOp.localBranchesExists(branch))
-			{
-				await gitOp.checkout(branch);
-			}
+// Commits the tool makes itself, left out of release notes
+const RELEASE_NOTES_NOISE = [/^CICD Initial commit/, /^EmptyCommit$/i, /^Creating new branch from /, /^CICD Unknown branch commit$/, /^CICD Hotfix start /, TOOL_COMMIT_SUBJECT];
 
-			items.push(
-				{
-					type: "merge",
-					name: `merge current base(${status.base.branch}) ➔ ahead (${branch})`,
-					key:"base",
-					ref:config.baseBranch,
-					commit: extractBranchLatestCommit(status.base),
-					from: config.baseBranch, // base
-					to: branch // date
-				},
-			);
+const CONVENTIONAL_TYPES = {
+	feat: 'Features',
+	fix: 'Bug Fixes',
+	perf: 'Performance',
+	refactor: 'Refactoring',
+	revert: 'Reverts',
+	docs: 'Documentation',
+	test: 'Tests',
+	build: 'Build',
+	ci: 'CI',
+	style: 'Style',
+	chore: 'Chores'
+};
+
+// Messages whose prefix is not one of CONVENTIONAL_TYPES ("hack: ...", "WIP: ...") keep their full subject
+function parseConventionalCommit(message) {
+	const match = /^(\w+)(?:\(([^)]*)\))?(!)?:\s*(.+)$/.exec(message);
+	if (!match || !CONVENTIONAL_TYPES[match[1].toLowerCase()]) return { type: null, scope: null, breaking: false, subject: message };
+	return { type: match[1].toLowerCase(), scope: match[2] || null, breaking: !!match[3], subject: match[4] };
+}
+
+// Current commit of every environment, the start of the ranges a rotation promotes
+function snapshotEnvironmentCommits(config, status) {
+	const commits = {};
+	getEnvironments(config).forEach(env => {
+		const commitInfo = extractBranchLatestCommit(status[env.name]);
+		if (commitInfo) commits[env.name] = commitInfo.hash;
+	});
+	return commits;
+}
+
+// Write release notes (Markdown and JSON) per environment for the commit ranges in `ranges` ({ env: { from, to } }).
+// Commits cherry-picked to an environment earlier (`cherryPicks`) are listed as already present
+async function generateReleaseNotes(config, gitOp, cycleDate, ranges, { groupBy = config.releaseNotesGroupBy, outputDir = config.releaseNotesDir, dryRun = false, cherryPicks = [] } = {}) {
+	if (!['type', 'author'].includes(groupBy)) {
+		exitWithError(ERROR_CODES.INVALID_COMMAND, `Unknown release notes grouping "${groupBy}" (expected type or author)`);
+	}
+	logger.log(`\n=== Release Notes (${cycleDate}) ===`);
+	const written = [];
+	for (const env of getEnvironments(config)) {
+		const range = ranges[env.name];
+		if (!range) continue;
+		if (!range.from || !range.to) {
+			logWarn(`${env.name}: no previous commit recorded, skipping release notes`);
+			continue;
+		}
+		if (range.from === range.to) {
+			logInfo(`${env.name}: nothing promoted`);
+			continue;
+		}
+		let commits;
+		try {
+			commits = await gitOp.listCommits(range.from, range.to);
+		} catch (error) {
+			logWarn(`${env.name}: cannot list ${range.from.substring(0, 8)}..${range.to.substring(0, 8)}: ${error.message}`);
+			continue;
 		}
-	}
-	items.push(
-		{
-			type: "merge",
-			name: `merge base(${config.baseBranch}) → base target (${status.base.branch})`,
-			key: "base",
-			branchName:status.base.branch,
-			commit:status.base.commit,
-			from: config.baseBranch, // base
-			to: status.base.branch // date
-		},
-		{
-			type: "merge",
-			// name: 'uat',
-			name: `merge uat source(${status.uat.branch}) → uat(${config.uatBranch})`,
-			key: "uat",
-			branchName:status.uat.branch,
-			commit:status.uat.commit,
-			from: status.uat.branch, // uat
-			to: config.uatBranch // date
-		},
-		{
-			type: "merge",
-			// name: 'pre',
-			name: `merge pre source(${status.pre.branch}) → pre(${config.preBranch})`,
-			key: "pre",
-			branchName:status.pre.branch,
-			commit:status.pre.commit,
-			from: status.pre.branch, // pre
-			to: config.preBranch // date
-		},
-		{
-			type: "merge",
-			// name: 'pro',
-			name: `merge pro source(${status.pro.branch}) → pre(${config.proBranch})`,
-			key: "pro",
-			branchName:status.pro.branch, // pro
-			commit:status.pro.commit,
-			from: status.pro.branch, // pro
-			to: config.proBranch // date
-		}
-	);
-	var hasError = false;
-	for (const item of items) {
-		const { name, from, to, commit, branchName } = item;
-		logLine(item.name);
-		if (item.type == "merge") {
-			// var latest = getLatestCommitInfo(item.latest);
-			const commitInfo = await gitOp.getLatestCommitInfo(item.from);
-			// console.log(name);
-			if(sameCommitInfo(commitInfo, item.commit)) {
-				logInfo(`⏩ ${from} has not change ⏩`);
-			} else {
-				const mergeResult = await gitOp.merge(to, from, false, false)
-				if (mergeResult && mergeResult.success) {
-					await gitOp.push(to, false, false);
-					const commitInfo = await gitOp.getLatestCommitInfo(from);
-					if (commitInfo) {
-						status[item.key].commit = commitInfo;//  = updateBranchStatus(status[key], branchName, commitInfo);
-					}
-				} else {
-					hasError = true;
-				}
+		commits = commits
+			.filter(commit => !RELEASE_NOTES_NOISE.some(pattern => pattern.test(commit.message)))
+			.map(commit => ({ ...commit, ...parseConventionalCommit(commit.message) }));
+		const picks = (cherryPicks || []).filter(pick => pick.environment === env.name);
+		const alreadyPresent = commits
+			.filter(commit => picks.some(pick => pick.commit === commit.hash))
+			.map(commit => ({ ...commit, cherryPick: picks.find(pick => pick.commit === commit.hash) }));
+		commits = commits.filter(commit => !picks.some(pick => pick.commit === commit.hash));
+
+		const groups = [];
+		commits.forEach(commit => {
+			const title = groupBy === 'author'
+				? commit.author_name
+				: (CONVENTIONAL_TYPES[commit.type] || 'Other Changes');
+			let group = groups.find(item => item.title === title);
+			if (!group) {
+				group = { title, commits: [] };
+				groups.push(group);
 			}
-			
+			group.commits.push(commit);
+		});
+		if (groupBy === 'type') {
+			const order = [...Object.values(CONVENTIONAL_TYPES), 'Other Changes'];
+			groups.sort((a, b) => order.indexOf(a.title) - order.indexOf(b.title));
 		}
+
+		const notes = {
+			environment: env.name,
+			branch: env.branch,
+			cycleDate,
+			from: range.from,
+			to: range.to,
+			groupBy,
+			generatedAt: new Date().toISOString(),
+			groups,
+			alreadyPresent
+		};
+		const markdown = [
+			`# ${env.name} ${cycleDate}`,
+			'',
+			`Commits \`${range.from.substring(0, 8)}..${range.to.substring(0, 8)}\` promoted to \`${env.branch}\`.`,
+			'',
+			...(groups.length === 0 ? ['No changes.', ''] : groups.flatMap(group => [
+				`## ${group.title}`,
+				'',
+				...group.commits.map(commit => {
+					const scope = commit.scope ? `**${commit.scope}:** ` : '';
+					const breaking = commit.breaking ? ' **BREAKING**' : '';
+					const author = groupBy === 'author' ? '' : ` (${commit.author_name})`;
+					return `- ${scope}${commit.subject}${breaking} \`${commit.hash.substring(0, 8)}\`${author}`;
+				}),
+				''
+			])),
+			...(alreadyPresent.length === 0 ? [] : [
+				'## Already Present',
+				'',
+				...alreadyPresent.map(commit => `- ${commit.subject} \`${commit.hash.substring(0, 8)}\` (cherry-picked as \`${(commit.cherryPick.picked || '').substring(0, 8)}\` on ${commit.cherryPick.date})`),
+				''
+			])
+		].join('\n');
+
+		const basePath = path.join(outputDir, cycleDate, env.name);
+		if (dryRun) {
+			logInfo(`[DRY RUN] Would write ${basePath}.md and ${basePath}.json (${commits.length} commits)`);
+			continue;
+		}
+		await fs.mkdir(path.dirname(basePath), { recursive: true });
+		await fs.writeFile(`${basePath}.md`, markdown, 'utf8');
+		await fs.writeFile(`${basePath}.json`, JSON.stringify(notes, null, 2), 'utf8');
+		logSuccess(`${env.name}: ${commits.length} commits → ${basePath}.md`);
+		written.push(basePath);
 	}
-	logLine();
-	if (hasError) {
-		logError('Merge or Rebase Failed');
-		process.exit(ERROR_CODES.MERGE_FAILED);
-	}
+	return written;
+}
 
+// Throwaway sandbox for simulate: a bare remote and a clone with the first stage's branch and one commit
+async function createSimulationSandbox(config) {
+	const sandbox = await fs.mkdtemp(path.join(os.tmpdir(), 'cicd-simulate-'));
+	const remoteDir = path.join(sandbox, 'remote.git');
+	const workDir = path.join(sandbox, 'work');
+	const baseBranch = getEnvironments(config)[0].branch;
+	await simpleGit().init(true, [remoteDir]);
+	await fs.mkdir(workDir);
+	const git = simpleGit(workDir);
+	await git.init([`--initial-branch=${baseBranch}`]);
+	await git.addConfig('user.name', 'cicd-simulate');
+	await git.addConfig('user.email', 'cicd-simulate@localhost');
+	await git.addRemote(config.remoteName, remoteDir);
+	await fs.writeFile(path.join(workDir, 'README.md'), '# Simulation\n', 'utf8');
+	await git.add(['README.md']);
+	await git.commit('chore: initial commit');
+	await git.push(config.remoteName, baseBranch);
+	return { sandbox, workDir, git };
 }
 
-function logBranchInfo(status, branches) {
-	const { newBaseBranch, uatSourceBranch, proSourceBranch } = branches;
-	console.log(`=== Cycle Information ===`);
-	// console.log("branches", branches);
-	console.log(`base: swithcing target from (${getBranchName(status.base)}) to (${newBaseBranch})`);
-	console.log(`UAT: switch target from (${getBranchName(status.uat)}) to (${uatSourceBranch})`);
-	console.log(`PRO: switch target from (${getBranchName(status.pro)}) to (${proSourceBranch})`);
+// Commit `files` ({ name: content }) on a branch of the sandbox clone and push it
+async function commitToSimulation(git, remoteName, branch, message, files) {
+	await git.fetch();
+	await git.checkout(branch);
+	await git.reset(['--hard', `${remoteName}/${branch}`]);
+	const workDir = (await git.revparse(['--show-toplevel'])).trim();
+	for (const [name, content] of Object.entries(files)) {
+		await fs.writeFile(path.join(workDir, name), content, 'utf8');
+	}
+	await git.add(Object.keys(files));
+	await git.commit(message);
+	await git.push(remoteName, branch);
 }
 
-async function createBranches(config, gitOp, currentDateString, dryRun, status) {
-	// await git.checkout(config.baseBranch);
-	await gitOp.fetch();
-	await gitOp.pull(config.baseBranch);
+async function listRemoteBranches(git, remoteName) {
+	const heads = await git.raw(['ls-remote', '--heads', remoteName]);
+	return heads.split('\n').filter(line => line.trim()).map(line => line.split('\trefs/heads/')[1]);
+}
 
-	const branches = updateNextCycleBranches(config, status, currentDateString, config.cycleDays, config.branchPrefix, config.dateFormat);
-	// console.log("branches", branches);
-	
-	logBranchInfo(status, branches);
-	const { newBaseBranch, uatSourceBranch, proSourceBranch } = branches;
+// Replay init and `cycles` cycles of run (plus one off-cycle run halfway through each cycle) with the
+// given config in a sandbox, seeding commits on the first stage before every run. With conflictEvery,
+// every n-th cycle commits clashing changes to the second stage and its target, and the conflict is
+// resolved (the source side wins) before the run is resumed. Resolves with the timeline
+async function simulateCycles(config, { cycles, startDate, commitsPerCycle = 3, conflictEvery = 0, keep = false, verbose = false }) {
+	const environments = getEnvironments(config);
+	const { sandbox, workDir, git } = await createSimulationSandbox(config);
+	// Only local git: no pull requests, webhooks, remote lock or files outside the sandbox
+	const simulationConfig = {
+		...config,
+		git: workDir,
+		environments: environments.map(env => ({ ...env, promotionMode: 'merge' })),
+		notifications: null,
+		remoteLock: false,
+		lockFile: null,
+		conflictReport: path.join(sandbox, 'merge-conflicts.json'),
+		releaseNotesDir: path.join(sandbox, config.releaseNotesDir)
+	};
+	if (environments.some(env => env.promotionMode === 'pr')) logWarn('Pull request promotions are simulated as direct merges');
 
-	console.log('\n=== Verifying Required Branches ===');
-	const requiredBranches = [
-		config.baseBranch, config.uatBranch, config.preBranch, config.proBranch,
-		uatSourceBranch, proSourceBranch
-	];
+	let saved = null;
+	const store = { load: async () => saved, save: async state => { saved = JSON.parse(JSON.stringify(state)); } };
+	const gitOp = new GitOperations(simulationConfig, workDir, false);
+	const timeline = [];
+	let seed = 0;
 
-	for (const branch of requiredBranches) {
-		if (!await gitOp.branchExists(branch)) {
-			exitWithError(ERROR_CODES.MISSING_BRANCHES, `Required branch ${branch} does not exist`);
+	// Run one step quietly (its own output only with --verbose) and record what it changed
+	const step = async (kind, date, action) => {
+		const before = await listRemoteBranches(git, config.remoteName);
+		const conflictCount = gitOp.conflicts.length;
+		const previousLogger = logger;
+		const report = jsonReport;
+		if (!verbose) setLogger({ log: () => {}, info: () => {}, success: () => {}, warn: () => {}, error: () => {} });
+		jsonReport = null;
+		let error = null;
+		try {
+			await action();
+		} catch (failure) {
+			if (!(failure instanceof CicdError)) throw failure;
+			error = failure;
+		} finally {
+			logger = previousLogger;
+			jsonReport = report;
 		}
-	}
-	console.log('✅  All required branches exist');
-
-	console.log('\n=== Creating New Base Branch ===');
-	if (!status.branches) status.branches = [];
-	status.branches.push({
-		branch: newBaseBranch,
-		time: new Date().getTime()
-	});
-	var aheadBranchExists = await gitOp.remoteBranchExists(newBaseBranch);;
-	
-	// rebase or merege, reset, delete, git flow
-	var items = [
-		{
-			type:aheadBranchExists ? "merge" : "create",
-			name:"Merge Ahead base to Branch",
-			from:status.base.branch,
-			to:newBaseBranch,
-			noFastForward:false
-		},
-		{
-			type:"merge",
-			name:'Updating UAT Branch',
-			from:uatSourceBranch,
-			to:config.uatBranch,
-			noFastForward:false,
-		},
-		{
-			type:"merge",
-			name:'Updating PRE Branch',
-			from:uatSourceBranch,
-			to:config.preBranch,
-			noFastForward:true
-		},
-		{
-			type:"merge", 
-			name:'Updating PRO Branch',
-			from:proSourceBranch,
-			to:config.proBranch,
-			noFastForward:true
+		const after = await listRemoteBranches(git, config.remoteName);
+		const status = await loadStatusFile(store, simulationConfig);
+		const entry = {
+			date,
+			kind,
+			targets: Object.fromEntries(environments.map(env => [env.name, getBranchName(status[env.name])])),
+			lastCycleDate: status.lastCycleDate || null,
+			aheadCycleDate: status.aheadCycleDate || null,
+			created: after.filter(branch => !before.includes(branch)),
+			deleted: before.filter(branch => !after.includes(branch)),
+			conflicts: gitOp.conflicts.slice(conflictCount).map(({ from, to, source, files }) => ({ from, to, source, files })),
+			error: error ? error.message : null,
+			exitCode: error ? error.code : 0
+		};
+		timeline.push(entry);
+		return entry;
+	};
+	const seedCommits = async () => {
+		for (let index = 0; index < commitsPerCycle; index++) {
+			seed++;
+			await commitToSimulation(git, config.remoteName, environments[0].branch, `feat: synthetic change ${seed}`, { [`change-${seed}.txt`]: `${seed}\n` });
 		}
-	];
-	for (const item of items) {
-		logLine(item.name);
-		if(item.type == "create")
-		{
-			await gitOp.createBranch(`Creating new branch from ${item.from} to ${item.to}`, item.from, item.to, true);
-			await gitOp.push(item.to, false, false);
+	};
+	const run = (date, resume = false) => async () => {
+		const status = await loadStatusFile(store, simulationConfig);
+		await executeRun(simulationConfig, gitOp, { status: store, date: resume ? null : date, resume, dryRun: false }, status);
+	};
+	// Resolve a conflict on the remote the way the branch is synced: a rebase keeps the branch's own
+	// changes, a merge lets the source side win
+	const resolveConflict = async (conflict) => {
+		const env = environments.find(item => item.branch === conflict.to);
+		await git.fetch();
+		await git.checkout(conflict.to);
+		await git.reset(['--hard', `${config.remoteName}/${conflict.to}`]);
+		if (env && env.syncStrategy === 'rebase') {
+			await git.rebase(['-X', 'theirs', `${config.remoteName}/${conflict.source}`]);
+			await git.push(config.remoteName, conflict.to, ['--force-with-lease']);
+			return;
+		}
+		await git.merge([`${config.remoteName}/${conflict.source}`, '-X', 'theirs', '-m', `Merge ${conflict.source} into ${conflict.to} (conflict resolved)`]);
+		await git.push(config.remoteName, conflict.to);
+	};
+	// Run, and after a conflict resolve it and resume until the run completes (a few attempts at most).
+	// Resolves false when the run failed for another reason
+	const runResolvingConflicts = async (kind, date) => {
+		let entry = await step(kind, date, run(date));
+		for (let attempt = 0; attempt <= environments.length && entry.exitCode && entry.conflicts.length > 0; attempt++) {
+			for (const conflict of entry.conflicts) await resolveConflict(conflict);
+			entry = await step('resume', date, run(date, true));
+		}
+		return !entry.exitCode;
+	};
 
-		} else if(item.type == "rebase")
-		{
-			await gitOp.rebase(item.to, item.from, true);
-			await gitOp.push(item.to, false, false);
-		} else if(item.type == "merge")
-		{
-			await gitOp.merge(item.to, item.from, true);
-			await gitOp.push(item.to, false, false);
-		} else if(item.type == "reset")
-		{
-			await gitOp.reset(item.from, item.to, true);
-			await gitOp.push(item.to, false, false);
-		} else if(item.type == "delete")
-		{
-			// not implement	
-			await gitOp.delete(item.to);
-			await gitOp.push(item.to);
-			// 
-			await gitOp.createBranch('CICD Unknown branch commit', item.from, item.to);
+	try {
+		await step('init', startDate, () => initializeBranches(gitOp, simulationConfig, workDir, false, store, startDate));
+		for (let cycle = 1; cycle <= cycles; cycle++) {
+			const status = await loadStatusFile(store, simulationConfig);
+			const nextCycleDate = status.aheadCycleDate;
+			const midCycle = format(addDays(parse(status.lastCycleDate, config.dateFormat, new Date()), Math.floor(config.cycleDays / 2)), config.dateFormat);
+			if (config.cycleDays >= 2 && midCycle !== nextCycleDate) {
+				await seedCommits();
+				if (conflictEvery > 0 && cycle % conflictEvery === 0 && environments.length > 1) {
+					const env = environments[1];
+					const target = getBranchName(status[env.name]);
+					await commitToSimulation(git, config.remoteName, target, `fix: change shared file on ${target}`, { 'shared.txt': `${target} ${cycle}\n` });
+					await commitToSimulation(git, config.remoteName, env.branch, `fix: change shared file on ${env.branch}`, { 'shared.txt': `${env.branch} ${cycle}\n` });
+				}
+				if (!await runResolvingConflicts('merge', midCycle)) break;
+			}
+			await seedCommits();
+			if (!await runResolvingConflicts('cycle', nextCycleDate)) break;
 		}
+		return { sandbox: keep ? sandbox : null, timeline, status: saved, branches: await listRemoteBranches(git, config.remoteName) };
+	} finally {
+		if (!keep) await fs.rm(sandbox, { recursive: true, force: true });
 	}
-	/*
-	console.log('\n=== Updating UAT Branch ===');
-	const uatRebaseResult = await git.rebase(uatSourceBranch, newBaseBranch);
-	if (!uatRebaseResult.success) exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, 'Failed to rebase UAT branch');
-	await git.push(uatSourceBranch, true);
+}
 
-	console.log('\n=== Updating PRE Branch ===');
-	const preMergeResult = await git.merge(config.preBranch, uatSourceBranch, true);
-	if (!preMergeResult.success) exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, 'Failed to merge into PRE branch');
-	await git.push(config.preBranch);
+function displaySimulation(config, simulation) {
+	const { timeline, branches, sandbox } = simulation;
+	logger.log(`=== Simulation: ${timeline.filter(entry => entry.kind === 'cycle').length} cycles, every ${config.cycleDays} days ===`);
+	const environments = getEnvironments(config);
+	timeline.forEach(entry => {
+		const targets = environments.map(env => `${env.name}: ${entry.targets[env.name] || '-'}`).join('  ');
+		logger.log(`${entry.exitCode ? '❌' : '✅'} ${entry.date}  ${entry.kind.padEnd(6)}  ${targets}`);
+		if (entry.created.length > 0) logger.log(`      created: ${entry.created.join(', ')}`);
+		if (entry.deleted.length > 0) logger.log(`      deleted: ${entry.deleted.join(', ')}`);
+		entry.conflicts.forEach(conflict => logger.log(`      conflict: ${conflict.source} → ${conflict.to} (${conflict.files.join(', ')})`));
+		if (entry.error && entry.conflicts.length === 0) logger.log(`      error: ${entry.error}`);
+	});
+	logger.log('');
+	logger.log(`Branches on the remote: ${branches.join(', ')}`);
+	if (sandbox) logger.log(`Sandbox kept at ${sandbox}`);
+}
 
-	console.log('\n=== Updating PRO Branch ===');
-	const proMergeResult = await git.merge(config.proBranch, proSourceBranch, true);
-	if (!proMergeResult.success) exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, 'Failed to merge into PRO branch');
-	await git.push(config.proBranch);
-	*/
-	console.log('\n=== Updating State ===');
-	// Get latest commit info for all branches
-	const baseCommitInfo = await gitOp.getLatestCommitInfo(newBaseBranch);
-	const uatCommitInfo = await gitOp.getLatestCommitInfo(uatSourceBranch);
-	const proCommitInfo = await gitOp.getLatestCommitInfo(proSourceBranch);
+// The options a child process needs to resolve the same configuration layers
+function forwardConfigOptions(opts) {
+	if (opts.config && typeof opts.config === 'object') exitWithError(ERROR_CODES.INVALID_COMMAND, 'Commands run in a child process need a config file path, not a config object');
+	const args = opts.config ? ['--config', path.resolve(opts.config)] : [];
+	(opts.set || []).forEach(assignment => args.push('--set', assignment));
+	return args;
+}
 
-	const newState = {
-		base: updateBranchStatus(status.base, newBaseBranch, baseCommitInfo),
-		uat: updateBranchStatus(status.uat, uatSourceBranch, uatCommitInfo),
-		pre: updateBranchStatus(status.pre, uatSourceBranch, uatCommitInfo),
-		pro: updateBranchStatus(status.pro, proSourceBranch, proCommitInfo),
-		aheadCycleDate: branches.aheadCycleDate,
-		lastCycleDate: branches.nextCycleDate
-	};
+// Run one command for a single repository in its own process, so a fatal error there cannot stop the others
+function runRepositoryCommand(commandName, repo, statusPath, opts) {
+	const args = [__filename, ...forwardConfigOptions(opts), '--status', statusPath, '--repository', repo.name];
+	if (opts.dryRun) args.push('--dry-run');
+	if (opts.date) args.push('--date', opts.date);
+	if (opts.debug) args.push('--debug');
+	if (opts.verbose) args.push('--verbose');
+	if (opts.forceUnlock) args.push('--force-unlock');
+	if (opts.json) args.push('--json');
+	if (opts.journal) args.push('--journal', path.resolve(opts.journal));
+	else args.push('--no-journal');
+	args.push(commandName);
+	// the command's own flags, e.g. status --refresh or run --resume
+	const { options = [] } = commandHandlers.find(item => item.name === commandName) || {};
+	options.forEach(([flags]) => {
+		const flag = flags.split(/[ ,]+/).find(part => part.startsWith('--'));
+		const key = flag.slice(2).replace(/-(\w)/g, (match, letter) => letter.toUpperCase());
+		if (opts[key] === true) args.push(flag);
+		else if (opts[key] !== undefined && opts[key] !== false) args.push(flag, String(opts[key]));
+	});
+	return new Promise(resolve => {
+		// with --json the child's document is collected from its stdout
+		const child = spawn(process.execPath, args, { stdio: ['inherit', opts.json ? 'pipe' : 'inherit', 'inherit'] });
+		let output = '';
+		if (opts.json) child.stdout.on('data', data => output += data);
+		child.on('error', error => {
+			logError(`${repo.name}: ${error.message}`);
+			resolve({ code: ERROR_CODES.INVALID_COMMAND, report: null });
+		});
+		child.on('close', code => {
+			let report = null;
+			try {
+				report = output ? JSON.parse(output) : null;
+			} catch (error) {
+				logWarn(`${repo.name}: unreadable --json output`);
+			}
+			resolve({ code: code === null ? ERROR_CODES.INVALID_COMMAND : code, report });
+		});
+	});
+}
 
-	Object.assign(status, newState);
+function describeExitCode(code) {
+	if (code === 0) return 'OK';
+	const name = Object.keys(ERROR_CODES).find(key => ERROR_CODES[key] === code);
+	return name || `EXIT ${code}`;
+}
 
-	console.log('\n=== Workflow Complete ===');
-	logSuccess('All operations completed successfully!');
+// Run a command for every configured repository, print a summary and exit with the highest exit code
+async function runForAllRepositories(commandName, opts) {
+	const { config, configDir } = await loadConfigWithOrigins(opts);
+	const repositories = getRepositories(config, configDir);
+	if (repositories.length === 0) {
+		exitWithError(ERROR_CODES.CONFIG_ERROR, 'No repositories configured');
+	}
+
+	const results = [];
+	for (const repo of repositories) {
+		const statusPath = path.resolve(configDir, repo.status || `${repo.name}.${path.basename(opts.status)}`);
+		logger.log('');
+		logLine(`${repo.name} (${repo.path})`);
+		const { code, report } = await runRepositoryCommand(commandName, repo, statusPath, opts);
+		results.push({ name: repo.name, code, report });
+	}
+	setJsonReport('repositories', results.map(({ name, code, report }) => ({ name, exitCode: code, report })));
+
+	logger.log('');
+	logLine(`Summary: ${commandName}`);
+	const width = Math.max(...results.map(result => result.name.length));
+	results.forEach(({ name, code }) => {
+		logger.log(`${code === 0 ? '✅' : '❌'} ${name.padEnd(width)}  ${describeExitCode(code)}`);
+	});
+	logLine();
+
+	const worstCode = Math.max(...results.map(result => result.code));
+	if (worstCode !== 0) {
+		exitWithError(worstCode, `${commandName} failed for ${results.filter(result => result.code !== 0).map(result => result.name).join(', ')}`);
+	}
 }
 
-// Main workflow execution with strict error handling
-function getTodayString(dateFormat) {
-	const date = new Date();
-	return format(date, dateFormat);
+// Run one workflow command of the daemon in its own process group, so a fatal error cannot stop the
+// daemon and a Ctrl-C on the terminal cannot interrupt it half way through a merge
+function runDaemonJob(commandName, opts) {
+	const args = [__filename, ...forwardConfigOptions(opts), '--status', opts.status];
+	if (opts.gitDir) args.push('--git-dir', opts.gitDir);
+	if (opts.dryRun) args.push('--dry-run');
+	if (opts.debug) args.push('--debug');
+	if (opts.repository) args.push('--repository', opts.repository);
+	if (opts.journal) args.push('--journal', path.resolve(opts.journal));
+	else args.push('--no-journal');
+	args.push(commandName);
+	return new Promise(resolve => {
+		const child = spawn(process.execPath, args, { stdio: 'inherit', detached: true });
+		child.on('error', error => {
+			logError(`${commandName}: ${error.message}`);
+			resolve(ERROR_CODES.INVALID_COMMAND);
+		});
+		child.on('close', code => resolve(code === null ? ERROR_CODES.INVALID_COMMAND : code));
+	});
 }
 
-async function removeOldBranches(config, status, git) {
-	if (config.autoRemoveBranches && status.branches) {
-		console.log(`\n=== Removing Old Branches ===`);
-		const retentionCycles = config.branchRetentionCycles || 3;
-		const retentionTime = retentionCycles * config.cycleDays;
-		const cutoffDate = addDays(new Date(), -retentionTime);
+// Stay running: `run` once a day at `runAt` when it is an execution day, `merge` every `mergeInterval`
+// minutes in between, and a heartbeat file describing the daemon state. SIGTERM/SIGINT stop it
+// after the job in progress has finished
+async function runDaemon(config, opts, { runAt, mergeInterval, heartbeatPath }) {
+	const [hours, minutes] = runAt.split(':').map(value => parseInt(value, 10));
+	const mergeIntervalMs = mergeInterval * 60 * 1000;
+	const state = {
+		pid: process.pid,
+		startedAt: new Date().toISOString(),
+		updatedAt: null,
+		state: 'idle',
+		lastJob: null,
+		nextRunAt: null,
+		nextMergeAt: null
+	};
+	let stopping = false;
+	let wake = null;
+	let lastRunDay = null;
+	let nextMergeTime = mergeIntervalMs > 0 ? Date.now() : null;
 
-		const branchesToRemove = status.branches.filter(branchInfo => {
-			const branchDate = new Date(branchInfo.time);
-			return branchDate < cutoffDate;
-		});
+	const writeHeartbeat = async () => {
+		state.updatedAt = new Date().toISOString();
+		try {
+			await fs.writeFile(heartbeatPath, JSON.stringify(state, null, 2), 'utf8');
+		} catch (error) {
+			logWarn(`Failed to write heartbeat ${heartbeatPath}: ${error.message}`);
+		}
+	};
+	const stop = (signal) => {
+		if (stopping) {
+			logWarn(`${signal} received again, waiting for ${state.state} to finish`);
+			return;
+		}
+		stopping = true;
+		logInfo(`${signal} received, stopping${state.state === 'idle' ? '' : ` after ${state.state}`}`);
+		if (wake) wake();
+	};
+	process.removeAllListeners('SIGTERM');
+	process.removeAllListeners('SIGINT');
+	process.on('SIGTERM', () => stop('SIGTERM'));
+	process.on('SIGINT', () => stop('SIGINT'));
+
+	const runJob = async (commandName) => {
+		state.state = `running ${commandName}`;
+		await writeHeartbeat();
+		const startedAt = new Date().toISOString();
+		const code = await runDaemonJob(commandName, opts);
+		state.lastJob = { command: commandName, startedAt, finishedAt: new Date().toISOString(), exitCode: code, result: describeExitCode(code) };
+		state.state = 'idle';
+		(code === 0 ? logSuccess : logError)(`${commandName}: ${describeExitCode(code)}`);
+		await writeHeartbeat();
+	};
+
+	logInfo(`Daemon started (pid ${process.pid}): run at ${runAt}, merge ${mergeIntervalMs > 0 ? `every ${mergeInterval} minutes` : 'disabled'}, heartbeat ${heartbeatPath}`);
+	while (!stopping) {
+		const now = new Date();
+		const today = getTodayString(config.dateFormat);
+		const runTime = new Date(now.getFullYear(), now.getMonth(), now.getDate(), hours, minutes);
 
-		for (const branchInfo of branchesToRemove) {
-			const branch = branchInfo.branch;
-			if (await git.branchExists(branch)) {
-				logInfo(`Removing old branch: ${branch}`);
-				await git.deleteBranch(branch, false);
+		if (lastRunDay !== today && now >= runTime) {
+			lastRunDay = today;
+			const status = await loadStatusFile(opts.status, config);
+			if (isExecutionDay(config.dateFormat, today, config.cycleDays, status.lastCycleDate, config)) {
+				await runJob('run');
+				// run merges as well
+				if (nextMergeTime !== null) nextMergeTime = Date.now() + mergeIntervalMs;
+			} else {
+				logInfo(`${today}: not an execution day, next cycle ${calculateCycleDateInfo(config, status, today, config.cycleDays, config.dateFormat).next}`);
 			}
+			continue;
+		}
+		if (nextMergeTime !== null && Date.now() >= nextMergeTime) {
+			await runJob('merge');
+			nextMergeTime = Date.now() + mergeIntervalMs;
+			continue;
 		}
 
-		// Update branches list
-		status.branches = status.branches.filter(branchInfo => {
-			const branchDate = new Date(branchInfo.time);
-			return branchDate >= cutoffDate;
+		const nextRun = lastRunDay === today ? addDays(runTime, 1) : runTime;
+		state.nextRunAt = nextRun.toISOString();
+		state.nextMergeAt = nextMergeTime !== null ? new Date(nextMergeTime).toISOString() : null;
+		await writeHeartbeat();
+		// wake up for the next job, or at least every minute to refresh the heartbeat
+		const delay = Math.max(0, Math.min(nextRun.getTime() - Date.now(), nextMergeTime !== null ? nextMergeTime - Date.now() : Infinity, 60 * 1000));
+		await new Promise(resolve => {
+			const timer = setTimeout(resolve, delay);
+			wake = () => {
+				clearTimeout(timer);
+				resolve();
+			};
 		});
+		wake = null;
 	}
+	state.state = 'stopped';
+	await writeHeartbeat();
+	logInfo('Daemon stopped');
 }
 
-
 // Command handlers
 const commandHandlers = [
 	{ 
 		name: 'fake', 
+		locking: true,
 		description: 'Empty Message Commit', 
 		handler: async (opts) => { 
-			const config = await loadConfig(opts.config);
-			const gitOp = new GitOperations(config, config.git, opts.dryRun);
+			const config = await loadConfig(opts);
+			const gitOp = new GitOperations(config, config.git, opts.dryRun, openJournal(opts), openNotifier(config, opts));
 			await emptyCommit(gitOp, config, config.git, opts.dryRun, opts.status, opts.date);
 		}, 
 	},
 	{ 
 		name: 'init', 
+		locking: true,
 		description: 'Initialize required branches', 
 		handler: async (opts) => {
-			const config = await loadConfig(opts.config);
-			const gitOp = new GitOperations(config, config.git, opts.dryRun);
+			const config = await loadConfig(opts);
+			const gitOp = new GitOperations(config, config.git, opts.dryRun, openJournal(opts), openNotifier(config, opts));
 			await initializeBranches(gitOp, config, config.git, opts.dryRun, opts.status, opts.date);
 		},
 	},
 	{ 
 		name: 'verify', 
+		multiRepository: true,
 		description: 'Verify all required branches exist', 
 		handler: async (opts) => {
-			const config = await loadConfig(opts.config);
-			const gitOp = new GitOperations(config, config.git, opts.dryRun);
+			const config = await loadConfig(opts);
+			const gitOp = new GitOperations(config, config.git, opts.dryRun, openJournal(opts), openNotifier(config, opts));
 			await verifyBranches(gitOp, config, opts.status, config.git, opts.date);
 		}
 	},
 	{ 
 		name: 'merge', 
+		locking: true,
+		multiRepository: true,
 		description: 'Merge branches according to workflow', 
 		handler: async (opts) => {
-			const config = await loadConfig(opts.config);
-			const gitOp = new GitOperations(config, config.git, opts.dryRun);
-			const status = await loadStatusFile(opts.status);
+			const config = await loadConfig(opts);
+			const gitOp = new GitOperations(config, config.git, opts.dryRun, openJournal(opts), openNotifier(config, opts));
+			const status = await loadStatusFile(opts.status, config);
+			refuseWhileInterrupted(status, 'merge');
 			const currentDate = opts.date || getTodayString(config.dateFormat);
+			reportCycleDates(config, status, currentDate);
 				// mergeBranches(config, gitOp, currentDate, dryRun, status)
 			await mergeBranches(config, gitOp, currentDate, opts.dryRun, status);
 			await saveStatusFile(opts.status, status);
+			await exitOnGateFailures(gitOp);
 		}
 	},
 	{ 
 		name: 'run', 
+		locking: true,
+		multiRepository: true,
 		description: 'Execute complete workflow (create + merge)', 
+		options: [
+			['--resume', 'Resume an interrupted run, skipping the phases it already completed']
+		],
 		handler: async (opts) => {
-			const config = await loadConfig(opts.config);
-			const gitOp = new GitOperations(config, config.git, opts.dryRun);
-			const status = await loadStatusFile(opts.status);
+			const config = await loadConfig(opts);
+			const gitOp = new GitOperations(config, config.git, opts.dryRun, openJournal(opts), openNotifier(config, opts));
+			const status = await loadStatusFile(opts.status, config);
+			await executeRun(config, gitOp, opts, status);
+			logSuccess('Workflow completed successfully!');
+		},
+	},
+	{
+		name: 'plan',
+		locking: true,
+		args: '[planfile]',
+		description: 'Write the actions of the next run, with the commits of their branches, to a plan file',
+		handler: async (opts, planFile = 'cicd-plan.json') => {
+			const config = await loadConfig(opts);
+			const gitOp = new GitOperations(config, config.git, true, null);
+			const status = await loadStatusFile(opts.status, config);
 			const currentDate = opts.date || getTodayString(config.dateFormat);
+			reportCycleDates(config, status, currentDate);
+			const plan = await createPlan(config, gitOp, status, currentDate);
+			displayPlan(plan);
+			await fs.writeFile(planFile, JSON.stringify(plan, null, 2), 'utf8');
+			setJsonReport('plan', plan);
+			logSuccess(`Plan written to ${planFile}, review it and run: apply ${planFile}`);
+		}
+	},
+	{
+		name: 'apply',
+		locking: true,
+		args: '<planfile>',
+		description: 'Execute a plan file, refusing if any of its branches moved since it was made',
+		options: [
+			['--resume', 'Resume an interrupted apply of this plan']
+		],
+		handler: async (opts, planFile) => {
+			const config = await loadConfig(opts);
+			if (!existsSync(planFile)) exitWithError(ERROR_CODES.FILE_NOT_FOUND, `Plan file not found: ${planFile}`);
+			let plan;
+			try {
+				plan = JSON.parse(await fs.readFile(planFile, 'utf8'));
+			} catch (error) {
+				exitWithError(ERROR_CODES.FILE_NOT_FOUND, `Failed to read plan file: ${error.message}`);
+			}
+			if (plan.version !== 1) exitWithError(ERROR_CODES.CONFIG_ERROR, `Unsupported plan version ${plan.version}`);
+			if (opts.date && opts.date !== plan.date) {
+				exitWithError(ERROR_CODES.INVALID_DATE, `The plan was made for ${plan.date}, not --date ${opts.date}`);
+			}
+			const gitOp = new GitOperations(config, config.git, opts.dryRun, openJournal(opts), openNotifier(config, opts));
+			const status = await loadStatusFile(opts.status, config);
+			const checkpoint = new RunCheckpoint(gitOp, opts.status, status, opts.dryRun);
+			let releaseFrom = snapshotEnvironmentCommits(config, status);
 
-			console.log(`=== CI/CD Workflow Execution ===`);
-			console.log(`Date: ${currentDate}`);
-			console.log(`Repository: ${config.git || process.cwd()}`);
-
-			if (isExecutionDay(config.dateFormat, currentDate, config.cycleDays, status.lastCycleDate)) {
-				await createBranches(
-					config, gitOp, currentDate, 
-					// config.git, 
-					opts.dryRun, 
-					status
-				);
-				await mergeBranches(config, gitOp, currentDate, opts.dryRun, status);
-				await removeOldBranches(config, status, gitOp);
+			logger.log(`=== CI/CD Plan Execution ===`);
+			logger.log(`Plan: ${planFile} (made ${plan.createdAt})`);
+			logger.log(`Repository: ${config.git || process.cwd()}`);
+			reportCycleDates(config, status, plan.date);
+			setJsonReport('rotation', plan.cycle);
+			displayPlan(plan);
+
+			if (checkpoint.pending) {
+				if (!opts.resume || checkpoint.pending.command !== 'apply' || checkpoint.pending.planCreatedAt !== plan.createdAt) {
+					exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, `The ${checkpoint.pending.command} from ${checkpoint.pending.date} was interrupted, finish it with --resume first`);
+				}
+				releaseFrom = checkpoint.pending.releaseFrom || {};
+				await checkpoint.verify();
 			} else {
-				   // mergeBranches(config, gitOp, currentDate, dryRun, status)
-				await mergeBranches(config, gitOp, currentDate, opts.dryRun, status);
+				if (opts.resume) exitWithError(ERROR_CODES.INVALID_COMMAND, `No interrupted apply of ${planFile} recorded`);
+				await verifyPlan(config, gitOp, plan, status);
+				await checkpoint.start({ command: 'apply', plan: planFile, planCreatedAt: plan.createdAt, date: plan.date, cycle: plan.cycle, releaseFrom });
 			}
-			await saveStatusFile(opts.status, status);
-			logSuccess('Workflow completed successfully!');
-		},
+
+			await runWorkflow(config, gitOp, opts, status, checkpoint, { currentDate: plan.date, isCycle: plan.cycle, releaseFrom, plan });
+			logSuccess(`Plan ${planFile} applied`);
+		}
 	},
 	{
 		name: 'workflow', 
+		locking: true,
 		description: 'Execute complete workflow (create + merge)', 
 		handler: async (opts) => {
-			const config = await loadConfig(opts.config);
-			const gitOp = new GitOperations(config, config.git, opts.dryRun);
-			const status = await loadStatusFile(opts.status);
+			const config = await loadConfig(opts);
+			const gitOp = new GitOperations(config, config.git, opts.dryRun, openJournal(opts), openNotifier(config, opts));
+			const status = await loadStatusFile(opts.status, config);
+			refuseWhileInterrupted(status, 'workflow');
 			const currentDate = opts.date || getTodayString(config.dateFormat);
 
-			console.log(`=== CI/CD Workflow Execution ===`);
-			console.log(`Date: ${currentDate}`);
-			console.log(`Repository: ${config.git || process.cwd()}`);
+			logger.log(`=== CI/CD Workflow Execution ===`);
+			logger.log(`Date: ${currentDate}`);
+			logger.log(`Repository: ${config.git || process.cwd()}`);
 
-			if (!isExecutionDay(config.dateFormat, currentDate, config.cycleDays, status.lastCycleDate)) {
+			if (!isExecutionDay(config.dateFormat, currentDate, config.cycleDays, status.lastCycleDate, config)) {
 				logWarn(`Not an execution day (cycle: ${config.cycleDays} days)`);
 				logWarn(`Last cycle: ${status.lastCycleDate}`);
-				logWarn(`Next cycle: ${calculateNextCycleDateString(status.lastCycleDate, config.cycleDays, config.dateFormat)}`);
+				logWarn(`Next cycle: ${calculateCycleDateInfo(config, status, currentDate, config.cycleDays, config.dateFormat).next}`);
 				return;
 			}
 			// createBranches(config, gitOp, currentDateString, dryRun, status)
 			await createBranches(config, gitOp, currentDate, opts.dryRun, status);
-			await removeOldBranches(config, status, gitOp);
+			if (config.autoRemoveBranches) await pruneBranches(config, gitOp, status, { currentDate, dryRun: opts.dryRun });
 			await saveStatusFile(opts.status, status);
+			await exitOnGateFailures(gitOp);
 			logSuccess('Workflow completed successfully!');
 		}
 	},
+	{
+		name: 'rollback',
+		locking: true,
+		args: '<environment>',
+		description: 'Restore uat/pre/pro to its previous cycle target',
+		options: [
+			['--to <branch>', 'Target branch to roll back to (default: previous target from the status file)'],
+			['--mode <mode>', 'Rollback mode: reset (force-with-lease) or revert', 'reset']
+		],
+		handler: async (opts, environment) => {
+			const config = await loadConfig(opts);
+			const gitOp = new GitOperations(config, config.git, opts.dryRun, openJournal(opts), openNotifier(config, opts));
+			const status = await loadStatusFile(opts.status, config);
+			await rollbackEnvironment(config, gitOp, environment, opts.dryRun, status, { to: opts.to, mode: opts.mode });
+			if (!opts.dryRun) await saveStatusFile(opts.status, status);
+		}
+	},
+	{
+		name: 'prune',
+		locking: true,
+		multiRepository: true,
+		description: 'Delete old cycle branches from the remote, keeping the last cycles and the branches the status refers to',
+		options: [
+			['--keep <cycles>', 'Number of recent cycles to keep (default: branchRetentionCycles)'],
+			['--merged', 'Only delete branches fully merged into pro (default: pruneMergedOnly)']
+		],
+		handler: async (opts) => {
+			const config = await loadConfig(opts);
+			const keep = opts.keep === undefined ? config.branchRetentionCycles : parseInt(opts.keep, 10);
+			if (!(keep >= 0)) exitWithError(ERROR_CODES.INVALID_COMMAND, `Invalid --keep "${opts.keep}"`);
+			const gitOp = new GitOperations(config, config.git, opts.dryRun, openJournal(opts), openNotifier(config, opts));
+			const status = await loadStatusFile(opts.status, config);
+			const currentDate = opts.date || getTodayString(config.dateFormat);
+			const rows = await pruneBranches(config, gitOp, status, { currentDate, keep, mergedOnly: opts.merged || config.pruneMergedOnly, dryRun: opts.dryRun });
+			if (!opts.dryRun) await saveStatusFile(opts.status, status);
+			if (rows.some(row => row.result === 'failed')) {
+				exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, 'Some branches could not be deleted');
+			}
+			const pruned = rows.filter(row => row.result === (opts.dryRun ? 'dry-run' : 'deleted')).length;
+			logSuccess(opts.dryRun ? `Would prune ${pruned} branch(es)` : `Pruned ${pruned} branch(es)`);
+		}
+	},
+	{
+		name: 'promote-commits',
+		locking: true,
+		args: '[commits...]',
+		description: 'Cherry-pick selected commits of the current cycle branch onto an environment ahead of the next rotation',
+		options: [
+			['--to <environment>', 'Environment to promote the commits to'],
+			['--from <branch>', 'Branch the commits must be on (default: the current cycle branch)'],
+			['--grep <pattern>', 'Also pick the commits not yet in the environment whose message matches <pattern>']
+		],
+		handler: async (opts, commits) => {
+			const config = await loadConfig(opts);
+			if (!opts.to) exitWithError(ERROR_CODES.INVALID_COMMAND, 'Missing --to <environment>');
+			const gitOp = new GitOperations(config, config.git, opts.dryRun, openJournal(opts), openNotifier(config, opts));
+			const status = await loadStatusFile(opts.status, config);
+			const records = await promoteCommits(config, gitOp, status, {
+				environment: opts.to,
+				refs: commits || [],
+				grep: opts.grep || null,
+				from: opts.from || null,
+				currentDate: opts.date || getTodayString(config.dateFormat),
+				dryRun: opts.dryRun
+			});
+			if (!opts.dryRun) await saveStatusFile(opts.status, status);
+			if (records.length > 0) logSuccess(`Promoted ${records.length} commit(s) to ${opts.to}`);
+		}
+	},
+	{
+		name: 'drift',
+		locking: true,
+		multiRepository: true,
+		args: '[environment]',
+		description: 'List commits made directly on environment branches (exits with code 11 when there are any)',
+		options: [
+			['--merge-back', 'Cherry-pick the drift commits onto base']
+		],
+		handler: async (opts, environment) => {
+			const config = await loadConfig(opts);
+			const gitOp = new GitOperations(config, config.git, opts.dryRun, openJournal(opts), openNotifier(config, opts));
+			const status = await loadStatusFile(opts.status, config);
+			const drift = await findDrift(config, gitOp, status, environment);
+			setJsonReport('drift', drift);
+			displayDrift(drift);
+			const count = drift.reduce((total, item) => total + item.commits.length, 0);
+			if (count === 0) return;
+			if (opts.mergeBack) {
+				const merged = await mergeBackDrift(config, gitOp, drift);
+				const baseBranch = getEnvironments(config)[0].branch;
+				logSuccess(opts.dryRun ? `Would merge ${merged} drift commit(s) back into ${baseBranch}` : `Merged ${merged} drift commit(s) back into ${baseBranch}`);
+				return;
+			}
+			exitWithError(ERROR_CODES.DRIFT_FOUND, `${count} commit(s) made directly on environment branches, merge them back with drift --merge-back`);
+		}
+	},
+	{
+		name: 'hotfix',
+		locking: true,
+		args: '<action> [name]',
+		description: 'Manage hotfixes branched from pro (action: start, finish or list)',
+		handler: async (opts, action, name) => {
+			const config = await loadConfig(opts);
+			const status = await loadStatusFile(opts.status, config);
+			if (action === 'list') {
+				displayHotfixes(status);
+				return;
+			}
+			if (!['start', 'finish'].includes(action)) {
+				exitWithError(ERROR_CODES.INVALID_COMMAND, `Unknown hotfix action "${action}" (expected start, finish or list)`);
+			}
+			if (!name) {
+				exitWithError(ERROR_CODES.INVALID_COMMAND, `Missing hotfix name: hotfix ${action} <name>`);
+			}
+			const gitOp = new GitOperations(config, config.git, opts.dryRun, openJournal(opts), openNotifier(config, opts));
+			if (action === 'start') {
+				await startHotfix(config, gitOp, name, opts.dryRun, status);
+				if (!opts.dryRun) await saveStatusFile(opts.status, status);
+				return;
+			}
+			const hasError = await finishHotfix(config, gitOp, name, opts.dryRun, status, opts.date || getTodayString(config.dateFormat));
+			if (!opts.dryRun) await saveStatusFile(opts.status, status);
+			if (hasError) {
+				exitWithError(ERROR_CODES.GIT_OPERATION_FAILED, `Hotfix ${name} could not be merged everywhere, fix the conflicts and run hotfix finish again`);
+			}
+			logSuccess(`Hotfix ${name} finished`);
+		}
+	},
+	{
+		name: 'history',
+		description: 'Show the audit journal of git actions',
+		options: [
+			['--env <name>', 'Only actions on this environment branch'],
+			['--since <date>', 'Only actions on or after this date'],
+			['--until <date>', 'Only actions on or before this date'],
+			['--commit <hash>', 'Only actions whose before/after commit starts with this hash']
+		],
+		handler: async (opts) => {
+			const config = await loadConfig(opts);
+			if (!opts.journal) exitWithError(ERROR_CODES.INVALID_COMMAND, 'history needs a journal file (--journal <path>)');
+			await displayHistory(config, opts.journal, { env: opts.env, since: opts.since, until: opts.until, commit: opts.commit });
+		}
+	},
+	{
+		name: 'release-notes',
+		args: '[environment]',
+		description: 'Write release notes for the commits the last rotation promoted',
+		options: [
+			['--from <ref>', 'Start of the range (default: the commit before the last rotation)'],
+			['--to <ref>', 'End of the range (default: the current commit in the status file)'],
+			['--group-by <grouping>', 'Group commits by conventional-commit type or by author (type, author)'],
+			['--output <dir>', 'Directory the notes are written to']
+		],
+		handler: async (opts, environment) => {
+			const config = await loadConfig(opts);
+			const status = await loadStatusFile(opts.status, config);
+			let environments = getEnvironments(config);
+			if (environment) {
+				environments = environments.filter(env => env.name === environment);
+				if (environments.length === 0) exitWithError(ERROR_CODES.INVALID_COMMAND, `Unknown environment "${environment}"`);
+			} else if (opts.from || opts.to) {
+				exitWithError(ERROR_CODES.INVALID_COMMAND, '--from and --to need an environment');
+			}
+			const gitOp = new GitOperations(config, config.git, opts.dryRun, null);
+			await gitOp.fetch();
+			const resolveRef = async (ref) => {
+				const hash = await gitOp.resolveCommit(ref);
+				if (!hash) exitWithError(ERROR_CODES.MISSING_BRANCHES, `Unknown revision "${ref}"`);
+				return hash;
+			};
+			const ranges = {};
+			for (const env of environments) {
+				const current = extractBranchLatestCommit(status[env.name]);
+				const previous = status[env.name] && status[env.name].previous && status[env.name].previous.commit;
+				ranges[env.name] = {
+					from: opts.from ? await resolveRef(opts.from) : (previous ? previous.hash : null),
+					to: opts.to ? await resolveRef(opts.to) : (current ? current.hash : null)
+				};
+			}
+			await generateReleaseNotes(config, gitOp, status.lastCycleDate || opts.date || getTodayString(config.dateFormat), ranges, {
+				groupBy: opts.groupBy || config.releaseNotesGroupBy,
+				outputDir: opts.output || config.releaseNotesDir,
+				dryRun: opts.dryRun,
+				cherryPicks: status.cherryPicks
+			});
+		}
+	},
+	{
+		name: 'releases',
+		multiRepository: true,
+		description: 'List the release tags recorded in the status file',
+		options: [
+			['-e, --environment <name>', 'Only releases of this environment'],
+			['-n, --limit <number>', 'Only the last <number> releases']
+		],
+		handler: async (opts) => {
+			const config = await loadConfig(opts);
+			const status = await loadStatusFile(opts.status, config);
+			if (opts.environment && !getEnvironments(config).some(env => env.name === opts.environment)) {
+				exitWithError(ERROR_CODES.INVALID_COMMAND, `Unknown environment "${opts.environment}"`);
+			}
+			const limit = opts.limit ? parseInt(opts.limit, 10) : 0;
+			if (opts.limit && !(limit > 0)) exitWithError(ERROR_CODES.INVALID_COMMAND, `Invalid --limit "${opts.limit}"`);
+			displayReleases(status, { environment: opts.environment, limit });
+		}
+	},
+	{
+		name: 'daemon',
+		description: 'Keep running and execute run/merge on schedule (instead of cron)',
+		options: [
+			['--at <HH:mm>', 'Time of day to run the workflow when it is an execution day (default: daemonRunAt)'],
+			['--merge-interval <minutes>', 'Minutes between merges, 0 to disable (default: daemonMergeIntervalMinutes)'],
+			['--heartbeat <path>', 'Heartbeat file (default: daemonHeartbeat)']
+		],
+		handler: async (opts) => {
+			const config = await loadConfig(opts);
+			const runAt = opts.at || config.daemonRunAt;
+			if (!/^([01]?\d|2[0-3]):[0-5]\d$/.test(runAt)) {
+				exitWithError(ERROR_CODES.INVALID_COMMAND, `Invalid time of day "${runAt}" (expected HH:mm)`);
+			}
+			const mergeInterval = Number(opts.mergeInterval !== undefined ? opts.mergeInterval : config.daemonMergeIntervalMinutes);
+			if (!(mergeInterval >= 0)) {
+				exitWithError(ERROR_CODES.INVALID_COMMAND, `Invalid merge interval "${opts.mergeInterval}" (expected minutes)`);
+			}
+			await runDaemon(config, opts, { runAt, mergeInterval, heartbeatPath: opts.heartbeat || config.daemonHeartbeat });
+		}
+	},
+	{
+		name: 'simulate',
+		description: 'Replay init and run for a number of cycles in a throwaway sandbox repository',
+		options: [
+			['--cycles <number>', 'Number of cycles to simulate', '10'],
+			['--commits <number>', 'Synthetic commits on the first stage before every run', '3'],
+			['--conflict-every <number>', 'Every <number>th cycle, seed a merge conflict on the second stage', '0'],
+			['--keep', 'Keep the sandbox directory for inspection']
+		],
+		handler: async (opts) => {
+			const config = await loadConfig(opts);
+			const cycles = parseInt(opts.cycles, 10);
+			const commitsPerCycle = parseInt(opts.commits, 10);
+			const conflictEvery = parseInt(opts.conflictEvery, 10);
+			if (!(cycles > 0)) exitWithError(ERROR_CODES.INVALID_COMMAND, `Invalid --cycles "${opts.cycles}"`);
+			if (!(commitsPerCycle >= 0)) exitWithError(ERROR_CODES.INVALID_COMMAND, `Invalid --commits "${opts.commits}"`);
+			if (!(conflictEvery >= 0)) exitWithError(ERROR_CODES.INVALID_COMMAND, `Invalid --conflict-every "${opts.conflictEvery}"`);
+			const startDate = opts.date || getTodayString(config.dateFormat);
+			const simulation = await simulateCycles(config, { cycles, startDate, commitsPerCycle, conflictEvery, keep: !!opts.keep, verbose: !!opts.verbose });
+			setJsonReport('simulation', simulation);
+			displaySimulation(config, simulation);
+		}
+	},
+	{
+		name: 'calendar',
+		description: 'Show the next cycle dates and the branches they will create',
+		options: [
+			['-n, --count <number>', 'Number of cycle dates to show', '6']
+		],
+		handler: async (opts) => {
+			const config = await loadConfig(opts);
+			const status = await loadStatusFile(opts.status, config);
+			const count = parseInt(opts.count, 10);
+			if (!(count > 0)) exitWithError(ERROR_CODES.INVALID_COMMAND, `Invalid --count "${opts.count}"`);
+			const currentDate = opts.date || getTodayString(config.dateFormat);
+			reportCycleDates(config, status, currentDate);
+			displayCalendar(config, status, currentDate, count);
+		}
+	},
+	{
+		name: 'config',
+		args: '<action>',
+		description: 'Check the configuration or show its effective values (action: check or show)',
+		options: [
+			['--strict', 'check: treat warnings (unknown keys, ...) as errors'],
+			['--origin', 'show: print where each value comes from']
+		],
+		handler: async (opts, action) => {
+			if (action === 'check') {
+				await checkConfig(opts, { strict: !!opts.strict });
+				return;
+			}
+			if (action === 'show') {
+				await showConfig(opts, { origin: !!opts.origin });
+				return;
+			}
+			exitWithError(ERROR_CODES.INVALID_COMMAND, `Unknown config action "${action}" (expected check or show)`);
+		}
+	},
 	{ 
 		name: 'status', 
+		multiRepository: true,
 		description: 'Show current status', 
+		options: [
+			['--refresh', 'Ask the pull request provider for the current state of the recorded pull requests']
+		],
 		handler: async (opts) => {
-			const config = await loadConfig(opts.config);
-			const status = await loadStatusFile(opts.status);
+			const config = await loadConfig(opts);
+			const status = await loadStatusFile(opts.status, config);
 			const currentDate = opts.date || getTodayString(config.dateFormat);
-			displayStatusInfo(currentDate, status, config);
+			reportCycleDates(config, status, currentDate);
+			// Only on request: status is otherwise read-only and works offline
+			const refreshed = opts.refresh ? await refreshPullRequestStates(config, status) : {};
+			setJsonReport('status', convertToSaveFormat(status));
+			displayStatusInfo(currentDate, status, config, refreshed);
 		}
 	}
 	
 ];
 
 // Helper functions
-function displayStatusInfo(currentDate, status, config) {
-	console.log(`=== Current Status ===`);
-	console.log(`Date: ${currentDate}`);
-	console.log(`Last cycle date: ${status.lastCycleDate || 'Never'}`);
-	console.log(`Next cycle date: ${status.aheadCycleDate || 'Not set'}`);
 
-	console.log('\n=== Branch Information ===');
-	const branchTypes = ['base', 'uat', 'pre', 'pro'];
+// The state recorded with a pull request is the one it had when it was opened or updated: ask the
+// provider for the current one. Resolves with the environments whose state was refreshed, the others
+// keep the recorded state
+async function refreshPullRequestStates(config, status) {
+	const refreshed = {};
+	for (const env of getEnvironments(config)) {
+		const pullRequest = status[env.name] && status[env.name].pullRequest;
+		if (!pullRequest) continue;
+		try {
+			pullRequest.state = await fetchPullRequestState(config, pullRequest.number, 10000);
+			refreshed[env.name] = true;
+		} catch (error) {
+			logWarn(`${env.name}: failed to fetch the state of pull request #${pullRequest.number}: ${error.message}`);
+		}
+	}
+	return refreshed;
+}
+
+function displayStatusInfo(currentDate, status, config, refreshed = {}) {
+	logger.log(`=== Current Status ===`);
+	logger.log(`Date: ${currentDate}`);
+	logger.log(`Last cycle date: ${status.lastCycleDate || 'Never'}`);
+	logger.log(`Next cycle date: ${status.aheadCycleDate || 'Not set'}`);
+	if (status.version) logger.log(`Release version: ${status.version}`);
+
+	logger.log('\n=== Branch Information ===');
+	const branchTypes = getEnvironments(config).map(env => env.name);
 
 	branchTypes.forEach(type => {
 		const branchName = getBranchName(status[type]);
 		const commitInfo = extractBranchLatestCommit(status[type]);
 
-		console.log(`${type.toUpperCase()}: ${branchName || 'Not set'}`);
+		logger.log(`${type.toUpperCase()}: ${branchName || 'Not set'}`);
 		if (commitInfo) {
-			console.log(`  Latest commit: ${commitInfo.hash.substring(0, 8)}`);
-			console.log(`  Date: ${commitInfo.date}`);
-			console.log(`  Message: ${commitInfo.message}`);
+			logger.log(`  Latest commit: ${commitInfo.hash.substring(0, 8)}`);
+			logger.log(`  Date: ${commitInfo.date}`);
+			logger.log(`  Message: ${commitInfo.message}`);
 		}
-		console.log('');
+		const pullRequest = status[type] && status[type].pullRequest;
+		if (pullRequest) {
+			const state = refreshed[type] ? pullRequest.state : `${pullRequest.state} when last opened or updated`;
+			logger.log(`  Pull request: #${pullRequest.number} (${state}) ${pullRequest.head} → ${pullRequest.base}${pullRequest.url ? ` ${pullRequest.url}` : ''}`);
+		}
+		logger.log('');
 	});
 
+	displayCherryPicks(status);
+
 	if (status.branches?.length > 0) {
-		console.log('=== Tracked Branches ===');
+		logger.log('=== Tracked Branches ===');
 		status.branches.forEach(branchInfo => {
-			console.log(`- ${branchInfo.branch} (created: ${new Date(branchInfo.time).toLocaleDateString()})`);
+			logger.log(`- ${branchInfo.branch} (created: ${new Date(branchInfo.time).toLocaleDateString()})`);
 		});
 	}
 }
@@ -1275,34 +4779,122 @@ function setupGlobalOptions() {
 	program
 		.version('1.0.0')
 		.description('CI/CD Branch Management Tool')
-		.option('-c, --config <path>', 'Path to config file', DEFINT_COMMAND_LINE_CONFIG.config)
+		.option('-c, --config <path>', `Path to config file (default: ${DEFINT_COMMAND_LINE_CONFIG.config} when it exists)`)
+		.option('--set <key=value>', 'Override a config key (repeatable)', (value, previous = []) => [...previous, value])
 		.option('-s, --status <path>', 'Path to status file', DEFINT_COMMAND_LINE_CONFIG.status)
+		.option('-j, --journal <path>', 'Path to the audit journal (JSON Lines)', DEFINT_COMMAND_LINE_CONFIG.journal)
+		.option('--no-journal', 'Do not write the audit journal')
 		.option('-d, --dry-run', 'Dry run mode (no changes)', DEFINT_COMMAND_LINE_CONFIG.dryRun)
 		.option('-g, --git-dir <path>', 'Git repository directory', DEFINT_COMMAND_LINE_CONFIG.gitDir)
 		.option('-t, --date <date>', 'Custom date (YYYY-MM-DD)')
+		.option('--force-unlock', 'Remove an existing repository lock before running')
+		.option('--json', 'Print one JSON document to stdout, human-readable output goes to stderr')
 		.option('-v, --verbose', 'Verbose output')
+		.option('-a, --all', 'Run the command for every entry of `repositories` in the config')
+		.option('-r, --repository <name>', 'Run the command for one entry of `repositories` in the config')
 		.option('--debug', 'Debug mode');
 }
 
+// Run a command with CLI-style options: --all fans out over the repositories, mutating commands
+// hold the repository lock until they are done
+async function executeCommand(name, opts, args = []) {
+	const command = commandHandlers.find(item => item.name === name);
+	if (!command) exitWithError(ERROR_CODES.INVALID_COMMAND, `Unknown command "${name}"`);
+	if (opts.all) {
+		if (!command.multiRepository) exitWithError(ERROR_CODES.INVALID_COMMAND, `--all is not supported by the ${name} command`);
+		if (isStatusStore(opts.status)) exitWithError(ERROR_CODES.INVALID_COMMAND, '--all needs a status file path, not a status store');
+		return runForAllRepositories(name, opts);
+	}
+	// --date is checked once here, every command reads it in the dateFormat of the config
+	if (opts.date) {
+		const { dateFormat } = await loadConfig(opts);
+		if (isNaN(parse(opts.date, dateFormat, new Date()))) {
+			exitWithError(ERROR_CODES.INVALID_DATE, `Invalid --date "${opts.date}" (expected ${dateFormat})`);
+		}
+	}
+	let lock = null;
+	try {
+		if (command.locking) {
+			const config = await loadConfig(opts);
+			const repositoryLock = new RepositoryLock(config, config.git, opts.dryRun);
+			await repositoryLock.acquire(name, opts.forceUnlock);
+			lock = repositoryLock;
+		}
+		return await command.handler(opts, ...args);
+	} finally {
+		if (lock) lock.release();
+	}
+}
+
+// Library entry point: run a command as the CLI would and resolve with its report (the --json document).
+// Options are the CLI options in camelCase; `config` may also be a config object, `status` a store with
+// load()/save(state) and `logger` replaces console output. Failures reject with a CicdError carrying the
+// exit code and the report. Commands share the report and logger, so calls are queued
+let commandQueue = Promise.resolve();
+function runCommand(name, options = {}, ...args) {
+	const run = async () => {
+		const opts = {
+			status: DEFINT_COMMAND_LINE_CONFIG.status,
+			journal: DEFINT_COMMAND_LINE_CONFIG.journal,
+			dryRun: DEFINT_COMMAND_LINE_CONFIG.dryRun,
+			...options,
+			commandName: name
+		};
+		const previousLogger = logger;
+		if (options.logger) setLogger(options.logger);
+		const report = jsonReport = createReport(opts);
+		try {
+			await executeCommand(name, opts, args);
+			report.exitCode = 0;
+			return report;
+		} catch (error) {
+			const failure = error instanceof CicdError ? error : Object.assign(new CicdError(ERROR_CODES.INVALID_COMMAND, error.message), { cause: error });
+			report.error = failure.message;
+			report.exitCode = failure.code;
+			failure.report = report;
+			throw failure;
+		} finally {
+			jsonReport = null;
+			logger = previousLogger;
+		}
+	};
+	const result = commandQueue.then(run, run);
+	commandQueue = result.catch(() => {});
+	return result;
+}
+
 function registerCommands() {
 
-	commandHandlers.forEach(({ name, description, handler }) => {
-		program
-			.command(name)
-			.description(description)
-			.action(async () => {
-				try {
-					await handler(program.opts());
-				} catch (error) {
-					console.error(`Error executing ${name} command:`, error);
-					process.exit(1);
+	commandHandlers.forEach(({ name, args, description, options = [], multiRepository, locking, handler }) => {
+		const command = program
+			.command(args ? `${name} ${args}` : name)
+			.description(description);
+		options.forEach(option => command.option(...option));
+		command.action(async (...params) => {
+			// commander passes declared arguments, then the command options and the command itself
+			const commandOpts = params[params.length - 2];
+			const opts = { ...program.opts(), ...commandOpts, commandName: name };
+			if (opts.json) startJsonReport(opts);
+			try {
+				await executeCommand(name, opts, params.slice(0, -2));
+			} catch (error) {
+				setJsonReport('error', error.message);
+				if (error instanceof CicdError) {
+					console.error(`[FATAL] ${error.message}`);
+					process.exit(error.code);
 				}
-			});
+				console.error(`Error executing ${name} command:`, error);
+				process.exit(1);
+			}
+		});
 	});
 }
 
 // Main function
 async function main() {
+	// Turn signals into a normal exit so exit handlers (lock release) still run
+	process.on('SIGINT', () => process.exit(130));
+	process.on('SIGTERM', () => process.exit(143));
 	try {
 		setupGlobalOptions();
 		registerCommands();
@@ -1318,4 +4910,34 @@ async function main() {
 	}
 }
 
-main().catch(console.error);
\ No newline at end of file
+if (require.main === module) {
+	main().catch(console.error);
+}
+
+module.exports = {
+	runCommand,
+	CicdError,
+	ERROR_CODES,
+	DEFAULT_CONFIG,
+	setLogger,
+	loadConfig,
+	validateConfig,
+	getEnvironments,
+	calculateCycleDateInfo,
+	isExecutionDay,
+	listCycleDates,
+	loadStatusFile,
+	saveStatusFile,
+	GitOperations,
+	RepositoryLock,
+	RunCheckpoint,
+	initializeBranches,
+	verifyBranches,
+	planRotation,
+	planMerges,
+	createBranches,
+	mergeBranches,
+	runWorkflow,
+	createPlan,
+	verifyPlan
+};
\ No newline at end of file